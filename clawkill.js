@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * clawkill - Abort, reset, compact or delete OpenClaw sessions, like `pkill`
+ * Usage: clawkill [options] <pattern>
+ */
+
+const readline = require('readline');
+const {
+  SOURCES,
+  loadConfig,
+  fetchSessions,
+  getAgentName,
+  getDisplaySettings,
+  isValidPort,
+} = require('./lib/core');
+const { ACTIONS, matchSessions, runSessionAction } = require('./lib/actions');
+const { COLOR_MODES, THEME_NAMES, getColorDepth, getColorModeArg, createTheme } = require('./lib/theme');
+
+// Exit codes, as in pkill
+const EXIT_MATCHED = 0;
+const EXIT_NO_MATCH = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILED = 3;
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const options = {
+  colorMode: getColorModeArg(args) || 'auto',
+  theme: null,
+  help: args.includes('-h') || args.includes('--help'),
+  action: 'abort',
+  dryRun: args.includes('--dry-run'),
+  exact: args.includes('-x') || args.includes('--exact'),
+  yes: args.includes('-y') || args.includes('--yes'),
+  list: args.includes('-l') || args.includes('--list'),
+  agents: [],
+  source: 'auto',
+  gateway: {},
+  pattern: null,
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '-s' || arg === '--action') {
+    options.action = args[++i];
+  } else if (arg.startsWith('--action=')) {
+    options.action = arg.slice('--action='.length);
+  } else if (/^--(abort|reset|compact|delete)$/.test(arg)) {
+    options.action = arg.slice(2);
+  } else if (arg === '--agent') {
+    options.agents.push(args[++i]);
+  } else if (arg === '--source') {
+    options.source = args[++i];
+  } else if (arg === '--host') {
+    options.gateway.host = args[++i];
+  } else if (arg === '--port') {
+    options.gateway.port = args[++i];
+  } else if (arg === '--token') {
+    options.gateway.token = args[++i];
+  } else if (arg === '--tls') {
+    options.gateway.tls = true;
+  } else if (arg === '--insecure') {
+    options.gateway.insecure = true;
+  } else if (arg === '--theme') {
+    options.theme = args[++i];
+  } else if (arg.startsWith('--theme=')) {
+    options.theme = arg.slice('--theme='.length);
+  } else if (arg === '--color' && COLOR_MODES.includes(args[i + 1])) {
+    i++; // the mode, read by getColorModeArg()
+  } else if (!arg.startsWith('-') && options.pattern === null) {
+    options.pattern = arg;
+  }
+}
+
+function printHelp() {
+  console.log(`
+Usage: clawkill [options] <pattern>
+
+Send an action to every session matching <pattern> through the gateway.
+<pattern> is compared with the session key, display name and agent name;
+* and ? are wildcards and a plain word matches anywhere in the name.
+
+Actions:
+  --abort          Stop the current run (default)
+  --reset          Start a fresh transcript under the same key
+  --compact        Summarize the transcript to free context
+  --delete         Remove the session
+  -s, --action <a> Same as above by name: ${Object.keys(ACTIONS).join(', ')}
+
+Options:
+  -h, --help       Show this help message
+  -x, --exact      Match the whole name instead of any part of it
+  -l, --list       Print the matching sessions before acting
+  -y, --yes        Don't ask before acting on more than one session
+  --dry-run        Show what would be sent without contacting the gateway
+  --agent <id>     Only match sessions of this agent (repeatable)
+  --source <src>   Where to look the sessions up: gateway, file or auto
+  --host, --port, --token, --tls, --insecure   Gateway connection (see clawps -h)
+  --color[=<when>] Color output: auto, always or never (default: auto)
+  --no-color       Same as --color=never
+  --theme <name>   Color theme: ${THEME_NAMES.join(', ')}
+                   (default: the theme in config.json, else default)
+
+Exit status: 0 if something matched, 1 if nothing matched, 2 on usage
+errors, 3 if an action failed.
+
+Examples:
+  clawkill "Daily SPA Generator"        # Abort a runaway cron run
+  clawkill --compact agent:main:main    # Compact the main session
+  clawkill --reset -x ops-bot --dry-run # Show what a reset would send
+  clawkill --delete 'Cron: *' -y        # Delete every cron session
+`);
+}
+
+if (options.help) {
+  printHelp();
+  process.exit(EXIT_MATCHED);
+}
+
+if (!options.pattern) {
+  printHelp();
+  process.exit(EXIT_USAGE);
+}
+
+if (!ACTIONS[options.action]) {
+  console.error(`clawkill: invalid action '${options.action}' (expected ${Object.keys(ACTIONS).join(', ')})`);
+  process.exit(EXIT_USAGE);
+}
+
+if (!SOURCES.includes(options.source)) {
+  console.error(`clawkill: invalid --source '${options.source}' (expected gateway, file or auto)`);
+  process.exit(EXIT_USAGE);
+}
+
+if (options.gateway.port !== undefined && !isValidPort(options.gateway.port)) {
+  console.error(`clawkill: invalid --port '${options.gateway.port}'`);
+  process.exit(EXIT_USAGE);
+}
+
+const gatewayConfig = loadConfig(options.gateway);
+
+if (!COLOR_MODES.includes(options.colorMode)) {
+  console.error(`clawkill: invalid --color '${options.colorMode}' (expected ${COLOR_MODES.join(', ')})`);
+  process.exit(EXIT_USAGE);
+}
+
+let theme;
+try {
+  theme = createTheme(options.theme || getDisplaySettings().theme, getColorDepth({ mode: options.colorMode }));
+} catch (err) {
+  console.error(`clawkill: ${err.message}`);
+  process.exit(EXIT_USAGE);
+}
+
+// `role` is a lib/theme.js role
+function color(role, text) {
+  return theme[role] ? `${theme[role]}${text}${theme.reset}` : text;
+}
+
+function describe(session) {
+  return `${getAgentName(session)} (${session.key})`;
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function main() {
+  const { sessions } = await fetchSessions({
+    agent: options.agents,
+    source: options.source,
+    config: gatewayConfig,
+  });
+  const matches = matchSessions(sessions, options.pattern, { exact: options.exact });
+
+  if (matches.length === 0) {
+    console.error(`clawkill: no session matches '${options.pattern}'`);
+    return EXIT_NO_MATCH;
+  }
+
+  const { verb } = ACTIONS[options.action];
+  if (options.list || (matches.length > 1 && !options.yes && !options.dryRun)) {
+    matches.forEach(s => console.log(`  ${describe(s)}`));
+  }
+
+  // Several matches is easy to get by accident; make the user say so
+  if (matches.length > 1 && !options.yes && !options.dryRun) {
+    if (!process.stdin.isTTY) {
+      console.error(`clawkill: '${options.pattern}' matches ${matches.length} sessions; pass -y to ${options.action} them all`);
+      return EXIT_USAGE;
+    }
+    if (!await confirm(`${verb} these ${matches.length} sessions? [y/N] `)) {
+      return EXIT_MATCHED;
+    }
+  }
+
+  let failed = 0;
+  for (const session of matches) {
+    try {
+      const outcome = await runSessionAction(options.action, session, {
+        config: gatewayConfig,
+        dryRun: options.dryRun,
+      });
+      if (outcome.dryRun) {
+        console.log(color('gray', `[dry-run] ${outcome.tool} ${JSON.stringify(outcome.args)}  # ${describe(session)}`));
+      } else {
+        console.log(`${color('green', 'Sent')} ${outcome.tool} to ${describe(session)}`);
+      }
+    } catch (err) {
+      failed++;
+      console.error(color('red', `clawkill: ${options.action} ${describe(session)}: ${err.message}`));
+    }
+  }
+  return failed > 0 ? EXIT_FAILED : EXIT_MATCHED;
+}
+
+main().then(code => {
+  process.exit(code);
+}).catch(err => {
+  console.error(color('red', `clawkill: ${err.message}`));
+  process.exit(EXIT_FAILED);
+});
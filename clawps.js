@@ -4,35 +4,79 @@
  * Usage: clawps [options]
  */
 
-const http = require('http');
-const path = require('path');
 const fs = require('fs');
 const os = require('os');
-
-// ANSI color codes
-const COLORS = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m',
-  white: '\x1b[37m',
-  gray: '\x1b[90m',
-};
+const path = require('path');
+const {
+  SOURCES,
+  setDebugLogger,
+  loadConfig,
+  getStateDir,
+  fetchSessions,
+  classifyStatus,
+  formatDuration,
+  formatTokens,
+  getAgentName,
+  getModelShort,
+  formatChannel,
+  filterSessions,
+  calculateCpuUsage,
+  getDisplaySettings,
+  isValidPort,
+} = require('./lib/core');
+const { FORMATS, formatSessions } = require('./lib/output');
+const { getContextUsage } = require('./lib/context');
+const { buildSessionTree, flattenTree } = require('./lib/tree');
+const { parseFilter } = require('./lib/filter');
+const { getArgValues, getArgList } = require('./lib/args');
+const { COLOR_MODES, THEME_NAMES, getColorDepth, getColorModeArg, createTheme } = require('./lib/theme');
+const { createChangeFeed, scheduleRefreshes } = require('./lib/watch');
+const { attachTranscriptStats, getSessionStart } = require('./lib/transcript');
+const {
+  DEFAULT_ALERT_RULES,
+  parseAlertRules,
+  evaluateAlerts,
+  createAlertTracker,
+  runAlertHook,
+} = require('./lib/alerts');
 
 // Parse CLI arguments
 const args = process.argv.slice(2);
+
 const options = {
-  color: !args.includes('--no-color') && process.stdout.isTTY,
+  colorMode: getColorModeArg(args) || 'auto',
+  theme: getArgValues(args, '--theme').pop(),
   verbose: args.includes('-v') || args.includes('--verbose'),
   help: args.includes('-h') || args.includes('--help'),
-  json: args.includes('--json'),
+  debug: args.includes('--debug'),
+  format: getArgValues(args, '--format').pop() || (args.includes('--json') ? 'json' : null),
   watch: args.includes('-w') || args.includes('--watch'),
   all: args.includes('-a') || args.includes('--all'),
+  forest: args.includes('-H') || args.includes('--forest'),
+  agents: getArgValues(args, '--agent'),
+  source: getArgValues(args, '--source').pop() || 'auto',
+  gateway: {
+    host: getArgValues(args, '--host').pop(),
+    port: getArgValues(args, '--port').pop(),
+    token: getArgValues(args, '--token').pop(),
+    tls: args.includes('--tls') || undefined,
+    insecure: args.includes('--insecure') || undefined,
+  },
+  columns: getArgList(args, '-o', '--output'),
+  sort: getArgList(args, '--sort'),
+  filter: {
+    channel: getArgList(args, '--channel'),
+    kind: getArgList(args, '--kind'),
+    model: getArgList(args, '--model'),
+    status: getArgList(args, '--status'),
+    aborted: args.includes('--aborted'),
+    // --filter expressions, all of which must match
+    expression: getArgValues(args, '--filter').join(' '),
+  },
+  alerts: getArgList(args, '--alert'),
+  noAlerts: args.includes('--no-alerts'),
+  onAlert: getArgValues(args, '--on-alert').pop(),
+  state: getArgValues(args, '--state').pop(),
   interval: 2000, // ms for watch mode
 };
 
@@ -43,6 +87,81 @@ if (intervalArg) {
   if (!isNaN(val)) options.interval = val * 1000;
 }
 
+function getContextPercent(s) {
+  const { percent } = getContextUsage(s);
+  return percent === null ? null : Math.round(percent);
+}
+
+// "15K/250K", with '?' for an unknown window
+function formatContext(s) {
+  const { tokens, max } = getContextUsage(s);
+  return `${formatTokens(tokens)}/${max > 0 ? formatTokens(max) : '?'}`;
+}
+
+// Selectable columns (-o) and sort keys (--sort). `value` is the raw value used
+// for sorting, `text` what the table prints.
+const COLUMNS = {
+  status: {
+    header: 'STATUS', width: 8,
+    value: (s, now) => ['active', 'idle', 'stale'].indexOf(classifyStatus(s, now)),
+    text: (s, now) => classifyStatus(s, now),
+  },
+  agent: {
+    header: 'AGENT', width: 37,
+    value: s => getAgentName(s).toLowerCase(),
+    text: s => getAgentName(s),
+  },
+  agentid: { header: 'AGENT-ID', width: 10, value: s => s.agentId, text: s => s.agentId },
+  key: { header: 'KEY', width: 40, value: s => s.key, text: s => s.key },
+  model: { header: 'MODEL', width: 18, value: s => s.model, text: s => getModelShort(s.model) },
+  ctx: {
+    header: 'CONTEXT', width: 12,
+    value: s => s.totalTokens || 0,
+    text: formatContext,
+    band: true,
+  },
+  ctxpct: {
+    header: 'CTX%', width: 6,
+    value: s => getContextPercent(s) ?? -1,
+    text: s => (getContextPercent(s) === null ? '-' : `${getContextPercent(s)}%`),
+    band: true,
+  },
+  idle: {
+    header: 'IDLE', width: 10,
+    value: (s, now) => now - (s.updatedAt || 0),
+    text: (s, now) => formatDuration(now - (s.updatedAt || 0)),
+  },
+  updated: {
+    header: 'UPDATED', width: 12,
+    value: s => s.updatedAt || 0,
+    text: s => (s.updatedAt ? new Date(s.updatedAt).toLocaleTimeString() : '-'),
+  },
+  channel: { header: 'CHANNEL', width: 12, value: s => s.channel, text: s => formatChannel(s.channel) },
+  kind: { header: 'KIND', width: 12, value: s => s.kind, text: s => s.kind },
+  lastTo: { header: 'LAST-TO', width: 20, value: s => s.lastTo, text: s => s.lastTo },
+  sessionId: { header: 'SESSION', width: 10, value: s => s.sessionId, text: s => s.sessionId?.substring(0, 8) },
+  // Transcript-backed columns
+  msgs: {
+    header: 'MSGS', width: 7, transcript: true,
+    value: s => s.transcript?.messages ?? -1,
+    text: s => (s.transcript ? String(s.transcript.messages) : '-'),
+  },
+  tools: {
+    header: 'TOOLS', width: 7, transcript: true,
+    value: s => s.transcript?.toolCalls ?? -1,
+    text: s => (s.transcript ? String(s.transcript.toolCalls) : '-'),
+  },
+  uptime: {
+    header: 'UPTIME', width: 10, transcript: true,
+    value: (s, now) => (getSessionStart(s) === null ? -1 : now - getSessionStart(s)),
+    text: (s, now) => (getSessionStart(s) === null ? '-' : formatDuration(now - getSessionStart(s))),
+  },
+  lastUser: { header: 'LAST-USER', width: 40, transcript: true, value: s => s.transcript?.lastUser, text: s => s.transcript?.lastUser },
+  lastReply: { header: 'LAST-REPLY', width: 40, transcript: true, value: s => s.transcript?.lastAssistant, text: s => s.transcript?.lastAssistant },
+};
+
+const DEFAULT_COLUMNS = ['status', 'agent', 'agentid', 'model', 'ctx', 'ctxpct', 'idle', 'channel', 'kind'];
+
 function printHelp() {
   console.log(`
 Usage: clawps [options]
@@ -51,16 +170,86 @@ Options:
   -h, --help       Show this help message
   -v, --verbose    Show detailed session information
   -a, --all        Include stale sessions (older than 30 min)
-  --no-color       Disable colored output
-  --json           Output as JSON
-  -w, --watch      Refresh continuously (like watch command)
+  --agent <id>     Only show sessions for this agent (repeatable)
+  --source <src>   Session source: gateway, file or auto (default: auto)
+  --host <host>    Gateway host (default: localhost)
+  --port <port>    Gateway port (default: 18789)
+  --token <token>  Gateway auth token
+  --tls            Connect to the gateway over HTTPS
+  --insecure       Skip TLS certificate verification
+  --color[=<when>] Color output: auto (on a terminal, unless NO_COLOR is
+                   set), always or never (default: auto)
+  --no-color       Same as --color=never
+  --theme <name>   Color theme: ${THEME_NAMES.join(', ')}
+                   (default: the theme in config.json, else default)
+  --debug          Print the config files, session stores and gateway
+                   endpoints tried (on stderr)
+  --json           Output as JSON (same as --format json)
+  --format <fmt>   Machine-readable output: json, ndjson, csv, tsv or prom
+  -H, --forest     Show sessions as a tree: by agent, then channel, with
+                   spawned sessions under their parent
+  -w, --watch      Refresh every -n seconds and whenever sessions change
   -n<secs>         Watch interval in seconds (default: 2)
 
+Output:
+  -o <cols>        Columns to show, comma-separated (default: ${DEFAULT_COLUMNS.join(',')})
+                   Available: ${Object.keys(COLUMNS).join(', ')}
+  --sort <keys>    Sort by columns, comma-separated; prefix with - for descending
+                   (default: -updated)
+
+Filters (comma-separated values, repeatable):
+  --channel <name> Only sessions on these channels
+  --kind <kind>    Only sessions of these kinds
+  --model <glob>   Only sessions whose model matches (e.g. 'kimi*')
+  --status <list>  Only these statuses: active, idle, stale (implies -a for stale)
+  --aborted        Only sessions whose last run was aborted
+  --filter <expr>  Only sessions matching <expr>, e.g. 'channel=telegram ctx>80%':
+                   field=glob or field!=glob (name, key, agent, channel, kind,
+                   model, status), ctx/tokens/idle/rate with > >= < <= =
+                   (80%, 1.5M, 10m), aborted, alerting or plain text; !term
+                   for the opposite of any term
+
+Alerts (matching rows are highlighted):
+  --alert <rules>  Alert rules, comma-separated, replacing the defaults
+                   (${DEFAULT_ALERT_RULES.join(',')}). Rules: ctx>=<pct>, rate><n>,
+                   tokens><n>, aborted, overdue (cron idle past its schedule)
+  --no-alerts      Don't evaluate alert rules
+  --on-alert <cmd> Run <cmd> when an alert is raised or cleared, with the event
+                   and session as JSON on stdin
+  --state <file>   Without -w, where --on-alert keeps the raised alerts between
+                   runs (default: ~/.cache/clawps/alerts.json)
+
 Examples:
   clawps              # Active sessions only
   clawps -a           # Include stale sessions
   clawps -v           # Verbose output
   clawps -w -n5       # Refresh every 5 seconds
+  clawps --agent ops  # Sessions for the "ops" agent only
+  clawps --source file  # Read sessions.json without asking the gateway
+  clawps --host gw.example.com --port 443 --tls
+  clawps -o key,ctx,ctxpct --sort=-ctx,idle
+  clawps --forest -a  # Agent / channel / spawned session tree
+  clawps -o agent,msgs,uptime,lastReply  # Transcript-backed columns
+  clawps --kind cron --status active,idle --model 'kimi*'
+  clawps -a --filter 'agent=ops idle>1h tokens>100K'
+  clawps -w --format ndjson  # One JSON line per refresh
+  clawps -w --alert ctx>=80,rate>20 --on-alert ./page.sh
+
+Environment:
+  OPENCLAW_GATEWAY_URL    Gateway URL, e.g. https://gw.example.com:18789
+  OPENCLAW_GATEWAY_TOKEN  Gateway auth token
+
+Exit status:
+  0  Sessions listed (even if there are none)
+  1  Invalid options or another error
+  2  No session store found (--source file)
+  3  A session store could not be read
+  4  A session store is not valid JSON
+  5  The gateway could not be reached (and with --source auto, there is
+     no session store to fall back to)
+  6  The gateway rejected the token
+  A store that fails while others load still prints the table, with its
+  status 3 or 4.
 `);
 }
 
@@ -69,173 +258,92 @@ if (options.help) {
   process.exit(0);
 }
 
-function color(code, text) {
-  return options.color ? `${COLORS[code]}${text}${COLORS.reset}` : text;
+if (!SOURCES.includes(options.source)) {
+  console.error(`clawps: invalid --source '${options.source}' (expected gateway, file or auto)`);
+  process.exit(1);
 }
 
-function getGatewayConfig() {
-  const configPath = path.join(os.homedir(), '.openclaw', 'openclaw.json');
-  try {
-    const raw = fs.readFileSync(configPath, 'utf8');
-    const config = JSON.parse(raw);
-    return {
-      port: config.gateway?.port || 18789,
-      token: config.gateway?.auth?.token,
-    };
-  } catch (err) {
-    return { port: 18789, token: null };
-  }
+if (options.format && !FORMATS.includes(options.format)) {
+  console.error(`clawps: invalid --format '${options.format}' (expected ${FORMATS.join(', ')})`);
+  process.exit(1);
 }
 
-// Read sessions directly from sessions.json (like CLI does)
-function getSessionsFromFile() {
-  const sessionsPath = path.join(os.homedir(), '.openclaw', 'agents', 'main', 'sessions', 'sessions.json');
-  try {
-    const data = fs.readFileSync(sessionsPath, 'utf8');
-    const sessionsObj = JSON.parse(data);
-    
-    const sessions = Object.entries(sessionsObj).map(([key, session]) => ({
-      key: key,
-      channel: session.channel || 'unknown',
-      displayName: session.displayName || key,
-      updatedAt: session.updatedAt || session.lastMessageAt || 0,
-      sessionId: session.sessionId || key,
-      model: session.model || 'unknown',
-      contextTokens: session.contextWindow || session.contextTokens || 0,
-      totalTokens: session.totalTokens || 0,
-      kind: session.kind || 'other',
-      deliveryContext: session.deliveryContext || {},
-      systemSent: session.systemSent || false,
-      abortedLastRun: session.abortedLastRun || false,
-      lastChannel: session.lastChannel || session.channel || '',
-      lastTo: session.lastTo || '',
-      lastAccountId: session.lastAccountId || '',
-      transcriptPath: session.transcriptPath || ''
-    }));
-    
-    // Sort by updatedAt descending
-    sessions.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
-    return sessions;
-  } catch (err) {
-    return [];
-  }
+if (options.gateway.port !== undefined && !isValidPort(options.gateway.port)) {
+  console.error(`clawps: invalid --port '${options.gateway.port}'`);
+  process.exit(1);
 }
 
-function invokeTool(tool, args = {}) {
-  return new Promise((resolve, reject) => {
-    const { port, token } = getGatewayConfig();
-    const postData = JSON.stringify({ tool, args });
-    
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'Content-Length': Buffer.byteLength(postData),
-    };
-    
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+for (const name of [...options.columns, ...options.sort.map(k => k.replace(/^[-+]/, ''))]) {
+  if (!COLUMNS[name]) {
+    console.error(`clawps: unknown column '${name}' (available: ${Object.keys(COLUMNS).join(', ')})`);
+    process.exit(1);
+  }
+}
 
-    const req = http.request({
-      hostname: 'localhost',
-      port,
-      path: '/tools/invoke',
-      method: 'POST',
-      headers,
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(data);
-          if (parsed.ok && parsed.result) {
-            // Extract sessions from the tool result
-            const result = parsed.result;
-            if (result.content && result.content[0]?.text) {
-              // Parse the JSON text content
-              const innerResult = JSON.parse(result.content[0].text);
-              resolve(innerResult.sessions || []);
-            } else if (result.details?.sessions) {
-              resolve(result.details.sessions);
-            } else {
-              resolve([]);
-            }
-          } else {
-            reject(new Error(parsed.error?.message || 'Unknown error'));
-          }
-        } catch (e) {
-          reject(new Error('Invalid JSON response'));
-        }
-      });
-    });
+if (options.columns.length === 0) options.columns = DEFAULT_COLUMNS;
 
-    req.on('error', reject);
-    req.setTimeout(5000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    req.write(postData);
-    req.end();
-  });
+// The tree is drawn in the AGENT column, so --forest needs one
+if (options.forest && !options.columns.includes('agent')) {
+  const at = options.columns[0] === 'status' ? 1 : 0;
+  options.columns = [...options.columns.slice(0, at), 'agent', ...options.columns.slice(at)];
 }
 
-function formatDuration(ms) {
-  if (!ms || ms < 0) return '0s';
-  const seconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-
-  if (days > 0) return `${days}d${hours % 24}h`;
-  if (hours > 0) return `${hours}h${minutes % 60}m`;
-  if (minutes > 0) return `${minutes}m${seconds % 60}s`;
-  return `${seconds}s`;
+let sessionFilter = null;
+try {
+  if (options.filter.expression.trim()) sessionFilter = parseFilter(options.filter.expression);
+} catch (err) {
+  console.error(`clawps: ${err.message}`);
+  process.exit(1);
 }
 
-function formatBytes(bytes) {
-  if (!bytes) return '0B';
-  const units = ['B', 'K', 'M', 'G'];
-  let idx = 0;
-  while (bytes >= 1024 && idx < units.length - 1) {
-    bytes /= 1024;
-    idx++;
+// A filter on status shows stale sessions, as --status does
+const statusFiltered = options.filter.status.length > 0 || Boolean(sessionFilter && sessionFilter.fields.includes('status'));
+
+let alertRules = [];
+try {
+  if (!options.noAlerts) {
+    alertRules = parseAlertRules(options.alerts.length > 0 ? options.alerts : DEFAULT_ALERT_RULES);
   }
-  return `${Math.round(bytes)}${units[idx]}`;
+} catch (err) {
+  console.error(`clawps: ${err.message}`);
+  process.exit(1);
 }
 
-function getAgentName(session) {
-  // Extract agent name from session key or display name
-  if (session.displayName) {
-    // Remove common prefixes/suffixes for cleaner display
-    return session.displayName
-      .replace(/^Cron: /, '')
-      .replace(/^agent:main:/, '');
-  }
-  const parts = session.key?.split(':') || [];
-  return parts[parts.length - 1] || 'unknown';
+if (!COLOR_MODES.includes(options.colorMode)) {
+  console.error(`clawps: invalid --color '${options.colorMode}' (expected ${COLOR_MODES.join(', ')})`);
+  process.exit(1);
+}
+
+let theme;
+try {
+  theme = createTheme(options.theme || getDisplaySettings().theme, getColorDepth({ mode: options.colorMode }));
+} catch (err) {
+  console.error(`clawps: ${err.message}`);
+  process.exit(1);
+}
+
+// `role` is a lib/theme.js role: a colour name, a status or a context band
+function color(role, text) {
+  return theme[role] ? `${theme[role]}${text}${theme.reset}` : text;
 }
 
-function getModelShort(model) {
-  if (!model) return '-';
-  return model
-    .replace('moonshot/', '')
-    .replace('openrouter/', 'or/')
-    .substring(0, 20);
+if (options.debug) {
+  setDebugLogger(message => console.error(color('dim', `[debug] ${message}`)));
 }
 
+const gatewayConfig = loadConfig(options.gateway);
+
+// What to check for each kind of error (see lib/errors.js)
+const ERROR_HINTS = {
+  GATEWAY_UNREACHABLE: () => `Is the OpenClaw gateway running at ${gatewayConfig.host}:${gatewayConfig.port}? (--source file reads sessions.json instead)`,
+  GATEWAY_AUTH_FAILED: () => 'Check --token, OPENCLAW_GATEWAY_TOKEN or gateway.auth.token in openclaw.json.',
+  STORE_NOT_FOUND: () => 'Is OpenClaw set up for this user? Use --source gateway to ask a gateway instead.',
+  STORE_UNREADABLE: () => 'Check the file permissions.',
+};
+
 function getStatusIndicator(session) {
-  const now = Date.now();
-  const idle = now - (session.updatedAt || 0);
-  
-  // Consider session active if updated in last 5 minutes
-  if (idle < 5 * 60 * 1000) {
-    return color('green', '●');
-  }
-  // Idle if updated in last 30 minutes
-  if (idle < 30 * 60 * 1000) {
-    return color('yellow', '○');
-  }
-  return color('gray', '○');
+  const status = classifyStatus(session);
+  return color(status, status === 'active' ? '●' : '○');
 }
 
 function truncate(str, len) {
@@ -244,19 +352,115 @@ function truncate(str, len) {
   return str.substring(0, len - 1) + '…';
 }
 
+// Read transcripts only when -v or a selected column/sort key needs them
+function withTranscripts(sessions) {
+  const keys = [...options.columns, ...options.sort.map(k => k.replace(/^[-+]/, ''))];
+  if (options.verbose || keys.some(k => COLUMNS[k].transcript)) {
+    attachTranscriptStats(sessions);
+  }
+  return sessions;
+}
+
+// Multi-key sort from --sort (e.g. ['-ctx', 'idle'])
+function sortSessions(sessions, keys, now) {
+  if (keys.length === 0) return sessions;
+  const order = keys.map(k => ({
+    column: COLUMNS[k.replace(/^[-+]/, '')],
+    dir: k.startsWith('-') ? -1 : 1,
+  }));
+  return [...sessions].sort((a, b) => {
+    for (const { column, dir } of order) {
+      const valA = column.value(a, now) ?? '';
+      const valB = column.value(b, now) ?? '';
+      const cmp = typeof valA === 'string' || typeof valB === 'string'
+        ? String(valA).localeCompare(String(valB))
+        : valA - valB;
+      if (cmp !== 0) return cmp * dir;
+    }
+    return 0;
+  });
+}
+
+// Previous refresh, for token rates in watch mode
+let prevSessions = [];
+let prevTime = 0;
+let refreshCount = 0;
+
+// Without -w each run starts afresh, so --on-alert keeps the alerts it has
+// raised in a state file to report only changes, as clawwatch --once does
+const DEFAULT_STATE_FILE = path.join(os.homedir(), '.cache', 'clawps', 'alerts.json');
+const stateFile = options.onAlert && !options.watch ? options.state || DEFAULT_STATE_FILE : null;
+
+function loadRaisedAlerts(file) {
+  try {
+    const { alerts } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(alerts) ? alerts.filter(alert => alert && alert.session && alert.rule) : [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(color('yellow', `clawps: ignoring unreadable state file ${file}: ${err.message}`));
+    return [];
+  }
+}
+
+function saveRaisedAlerts(file, alerts) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ alerts }) + '\n');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(color('yellow', `clawps: could not save state to ${file}: ${err.message}`));
+  }
+}
+
+const alertTracker = createAlertTracker(stateFile ? loadRaisedAlerts(stateFile) : []);
+
+// Run --on-alert for every alert raised or cleared since the last refresh
+async function fireAlertHooks(sessions) {
+  const events = alertTracker.update(sessions);
+  if (!options.onAlert) return;
+  if (stateFile) saveRaisedAlerts(stateFile, alertTracker.raised());
+  await Promise.all(events.map(async event => {
+    const { code, stderr } = await runAlertHook(options.onAlert, event);
+    if (code !== 0) {
+      console.error(color('red', `clawps: --on-alert exited with ${code} for ${event.session.key}${stderr ? `: ${stderr}` : ''}`));
+    }
+  }));
+}
+
 async function listSessions() {
   try {
-    const sessions = getSessionsFromFile();
+    const { source, sessions, warnings } = await fetchSessions({
+      agent: options.agents,
+      source: options.source,
+      config: gatewayConfig,
+    });
+    // Unreadable stores (e.g. caught mid-write) keep their last good sessions
+    warnings.forEach(warning => console.error(color('yellow', `clawps: ${warning.message}`)));
+    if (warnings.length > 0 && !options.watch) process.exitCode = warnings[0].exitCode;
 
-    // Filter out stale sessions unless --all is specified
     const now = Date.now();
-    const staleThreshold = 30 * 60 * 1000; // 30 minutes
-    const activeSessions = options.all 
-      ? sessions 
-      : sessions.filter(s => now - (s.updatedAt || 0) < staleThreshold);
+    const elapsed = now - prevTime;
+    const rated = filterSessions(sessions, options.filter, now).map(s => ({
+      ...s,
+      tokenRate: calculateCpuUsage(s, prevSessions.find(p => p.key === s.key), elapsed),
+    }));
+    prevSessions = sessions;
+    prevTime = now;
+    evaluateAlerts(rated, alertRules, { now });
 
-    if (options.json) {
-      console.log(JSON.stringify(activeSessions, null, 2));
+    // Filter out stale sessions unless --all (or --status) says otherwise.
+    // Overdue cron sessions stay: being idle is what is wrong with them.
+    // --filter goes last, as it can match on rates and alerts.
+    const visible = (options.all || statusFiltered
+      ? rated
+      : rated.filter(s => classifyStatus(s, now) !== 'stale' || s.alerts.some(a => a.rule === 'overdue')))
+      .filter(s => !sessionFilter || sessionFilter.test(s, now));
+    const activeSessions = sortSessions(withTranscripts(visible), options.sort, now);
+    await fireAlertHooks(activeSessions);
+
+    if (options.format) {
+      // csv/tsv print their header once so watch mode appends rows
+      console.log(formatSessions(activeSessions, options.format, { source, now, header: refreshCount++ === 0 }));
       return;
     }
 
@@ -265,6 +469,7 @@ async function listSessions() {
       if (!options.all) {
         console.log(color('dim', 'Use -a to show stale sessions.'));
       }
+      console.log(color('dim', `Source: ${source}`));
       return;
     }
 
@@ -279,22 +484,37 @@ async function listSessions() {
         const status = getStatusIndicator(s);
         const agentName = getAgentName(s);
         
-        console.log(`${status} ${color('bright', agentName)}`);
+        console.log(`${status} ${color(s.alerts.length > 0 ? 'alert' : 'bright', agentName)}`);
         console.log(`   Key:      ${color('gray', s.key || '-')}`);
+        console.log(`   Agent:    ${s.agentId || '-'}`);
         console.log(`   Session:  ${color('cyan', s.sessionId?.substring(0, 8) || '-')}`);
         console.log(`   Kind:     ${s.kind || '-'}`);
-        console.log(`   Channel:  ${s.channel || '-'}`);
+        console.log(`   Channel:  ${s.channel ? formatChannel(s.channel) : '-'}`);
         console.log(`   Model:    ${getModelShort(s.model)}`);
-        const currentTokens = s.totalTokens || 0;
-        const maxTokens = s.contextWindow || s.contextTokens || 0;
-        console.log(`   Context:  ${formatBytes(currentTokens)} / ${formatBytes(maxTokens)}`);
+        const pct = getContextPercent(s);
+        const { band } = getContextUsage(s);
+        const context = `${formatContext(s).replace('/', ' / ')}${pct === null ? '' : ` (${pct}%)`}`;
+        console.log(`   Context:  ${band ? color(band, context) : context}`);
         console.log(`   Idle:     ${formatDuration(idle)}`);
         console.log(`   Updated:  ${new Date(s.updatedAt).toLocaleTimeString()}`);
+        if (s.transcript) {
+          const start = getSessionStart(s);
+          console.log(`   Messages: ${s.transcript.messages} (${s.transcript.toolCalls} tool calls)`);
+          console.log(`   Uptime:   ${start === null ? '-' : formatDuration(now - start)}`);
+          if (s.transcript.lastUser) {
+            console.log(`   User:     ${color('dim', truncate(s.transcript.lastUser, 86).trimEnd())}`);
+          }
+          if (s.transcript.lastAssistant) {
+            console.log(`   Reply:    ${color('dim', truncate(s.transcript.lastAssistant, 86).trimEnd())}`);
+          }
+        }
         
         if (s.label) {
           console.log(`   Label:    ${color('magenta', s.label)}`);
         }
-        if (s.abortedLastRun) {
+        if (s.alerts.length > 0) {
+          s.alerts.forEach(alert => console.log(`   ${color('alert', `⚠ ${alert.message}`)}`));
+        } else if (s.abortedLastRun) {
           console.log(`   ${color('red', '⚠ Last run aborted')}`);
         }
         
@@ -302,91 +522,92 @@ async function listSessions() {
       });
       
       console.log(color('dim', '═'.repeat(100)));
-      console.log(`${color('green', '●')} Active  ${color('yellow', '○')} Idle  ${color('gray', '○')} Stale`);
+      console.log(`${color('active', '●')} Active  ${color('idle', '○')} Idle  ${color('stale', '○')} Stale  ${color('dim', `Source: ${source}`)}`);
       console.log();
     } else {
       // Compact ps-like format
-      // Columns: STATUS AGENT MODEL CONTEXT IDLE CHANNEL KIND
-      const headers = ['STATUS', 'AGENT', 'MODEL', 'CONTEXT', 'IDLE', 'CHANNEL', 'KIND'];
-      const widths = [8, 35, 18, 12, 10, 12, 12];
+      const columns = options.columns.map(name => ({ name, ...COLUMNS[name] }));
+      const totalWidth = columns.reduce((sum, c) => sum + c.width, 0);
       
       // Header
       console.log();
-      const headerLine = [
-        color('bright', truncate(headers[0], widths[0])),
-        color('bright', truncate(headers[1], widths[1])),
-        '  ',
-        color('bright', truncate(headers[2], widths[2])),
-        color('bright', truncate(headers[3], widths[3])),
-        color('bright', truncate(headers[4], widths[4])),
-        color('bright', truncate(headers[5], widths[5])),
-        color('bright', truncate(headers[6], widths[6])),
-      ].join('');
-      console.log(headerLine);
-      console.log(color('dim', '-'.repeat(widths.reduce((a, b) => a + b, 0) + 2)));
+      console.log(color('bright', columns.map(c => truncate(c.header, c.width - 1)).join(' ')));
+      console.log(color('dim', '-'.repeat(totalWidth)));
       
+      // One session row; `prefix` is its tree branch with --forest
+      const printRow = (s, prefix = '', note = '') => {
+        const row = columns.map(c => {
+          const text = c.name === 'agent' ? prefix + c.text(s, now) : String(c.text(s, now) ?? '');
+          const cell = truncate(text, c.width - 1) + ' ';
+          if (c.name === 'status') return color(classifyStatus(s, now), cell);
+          if (s.alerts.length > 0) return color('alert', cell);
+          const band = c.band && getContextUsage(s).band;
+          return band ? color(band, cell) : cell;
+        }).join('');
+        // Alerting rows get the alerts spelled out after the last column
+        const alerts = s.alerts.length > 0 ? ' ' + color('alert', `⚠ ${s.alerts.map(a => a.message).join(', ')}`) : '';
+        console.log(row.trimEnd() + alerts + note);
+      };
+
+      // Agent and channel rows of the tree, with the context of their subtree
+      const printGroup = (node, prefix) => {
+        const label = node.type === 'channel' ? formatChannel(node.label) : node.label;
+        const row = columns.map(c => {
+          if (c.name === 'agent') return truncate(prefix + label, c.width - 1) + ' ';
+          if (c.name === 'ctx') return truncate(`Σ${formatTokens(node.tokens)}`, c.width - 1) + ' ';
+          return ' '.repeat(c.width);
+        }).join('');
+        console.log(color(node.type === 'agent' ? 'bright' : 'cyan', row.trimEnd()));
+      };
+
       // Rows
-      activeSessions.forEach(s => {
-        const idle = now - (s.updatedAt || 0);
-        const idleStr = formatDuration(idle);
-        const agentName = getAgentName(s);
-        const model = getModelShort(s.model);
-        const currentTokens = s.totalTokens || 0;
-        const maxTokens = s.contextWindow || s.contextTokens || 0;
-        const context = `${formatBytes(currentTokens)}/${formatBytes(maxTokens)}`;
-        const channel = s.channel || '-';
-        const kind = s.kind || '-';
-        
-        let statusStr;
-        if (idle < 5 * 60 * 1000) {
-          statusStr = color('green', 'active'.padEnd(8));
-        } else if (idle < 30 * 60 * 1000) {
-          statusStr = color('yellow', 'idle'.padEnd(8));
-        } else {
-          statusStr = color('gray', 'stale'.padEnd(8));
-        }
-        
-        const row = [
-          statusStr,
-          truncate(agentName, widths[1]),
-          '  ',
-          truncate(model, widths[2]),
-          context.padEnd(widths[3]),
-          idleStr.padEnd(widths[4]),
-          truncate(channel, widths[5]),
-          truncate(kind, widths[6]),
-        ].join('');
-        
-        console.log(row);
-      });
+      if (options.forest) {
+        flattenTree(buildSessionTree(activeSessions)).forEach(({ node, prefix }) => {
+          if (node.type !== 'session') {
+            printGroup(node, prefix);
+            return;
+          }
+          const note = node.children.length > 0
+            ? color('dim', ` (Σ${formatTokens(node.tokens)} in ${node.count} sessions)`)
+            : '';
+          printRow(node.session, prefix, note);
+        });
+      } else {
+        activeSessions.forEach(s => printRow(s));
+      }
       
-      console.log(color('dim', '-'.repeat(widths.reduce((a, b) => a + b, 0))));
-      console.log(`${activeSessions.length} session${activeSessions.length !== 1 ? 's' : ''}${!options.all ? ' (run clawps -a to see stale)' : ''}`);
+      console.log(color('dim', '-'.repeat(totalWidth)));
+      const alerting = activeSessions.filter(s => s.alerts.length > 0).length;
+      console.log(`${activeSessions.length} session${activeSessions.length !== 1 ? 's' : ''}${!options.all && !statusFiltered ? ' (run clawps -a to see stale)' : ''}${alerting > 0 ? '  ' + color('alert', `⚠ ${alerting} alerting`) : ''}  ${color('dim', `Source: ${source}`)}`);
       console.log();
     }
   } catch (err) {
     console.error(color('red', `Error: ${err.message}`));
-    if (err.message.includes('ECONNREFUSED')) {
-      console.error(color('dim', 'Is the OpenClaw gateway running?'));
+    if (ERROR_HINTS[err.code]) {
+      console.error(color('dim', ERROR_HINTS[err.code]()));
     }
-    process.exit(1);
+    process.exit(err.exitCode || 1);
   }
 }
 
+// Refresh every interval, and as soon as a session store or transcript changes
+function watch(run) {
+  const scheduler = scheduleRefreshes(run, options.interval, err => {
+    console.error(color('red', `clawps: ${err.message}`));
+  });
+  createChangeFeed(scheduler.trigger, { stateDir: getStateDir(), agents: options.agents });
+}
+
 async function main() {
-  if (options.watch) {
-    console.clear();
-    console.log(color('dim', `Watching every ${options.interval/1000}s (Ctrl+C to exit)...`));
-    console.log();
-    
-    const run = async () => {
+  if (options.watch && options.format) {
+    // Machine-readable output streams every refresh without clearing
+    watch(listSessions);
+  } else if (options.watch) {
+    watch(async () => {
       console.clear();
-      console.log(color('dim', `Watching every ${options.interval/1000}s (Ctrl+C to exit)...`));
+      console.log(color('dim', `Watching every ${options.interval/1000}s and on changes (Ctrl+C to exit)...`));
       await listSessions();
-    };
-    
-    await run();
-    setInterval(run, options.interval);
+    });
   } else {
     await listSessions();
   }
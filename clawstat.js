@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * clawstat - Report OpenClaw token usage and cost, like `sar`
+ * Usage: clawstat [options]
+ */
+
+const {
+  SOURCES,
+  loadConfig,
+  fetchSessions,
+  getDisplaySettings,
+  isValidPort,
+} = require('./lib/core');
+const {
+  GROUP_FIELDS,
+  parseTimeArg,
+  loadPrices,
+  collectTranscriptUsage,
+  collectRecordingUsage,
+  aggregateUsage,
+} = require('./lib/usage');
+const { getArgValues, getArgList } = require('./lib/args');
+const { COLOR_MODES, THEME_NAMES, getColorDepth, getColorModeArg, createTheme } = require('./lib/theme');
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+
+const options = {
+  colorMode: getColorModeArg(args) || 'auto',
+  theme: getArgValues(args, '--theme').pop(),
+  help: args.includes('-h') || args.includes('--help'),
+  since: getArgValues(args, '--since').pop() || 'today',
+  until: getArgValues(args, '--until').pop() || 'now',
+  by: getArgList(args, '--by'),
+  prices: getArgValues(args, '--prices').pop(),
+  recording: getArgValues(args, '--recording').pop(),
+  format: getArgValues(args, '--format').pop() || (args.includes('--json') ? 'json' : 'table'),
+  agents: getArgValues(args, '--agent'),
+  source: getArgValues(args, '--source').pop() || 'auto',
+  gateway: {
+    host: getArgValues(args, '--host').pop(),
+    port: getArgValues(args, '--port').pop(),
+    token: getArgValues(args, '--token').pop(),
+    tls: args.includes('--tls') || undefined,
+    insecure: args.includes('--insecure') || undefined,
+  },
+};
+
+if (options.by.length === 0) options.by = ['model'];
+
+function printHelp() {
+  console.log(`
+Usage: clawstat [options]
+
+Sum token usage from session transcripts (or a clawtop --record file) and
+estimate its cost.
+
+Options:
+  -h, --help         Show this help message
+  --since <time>     Start of the window (default: today)
+  --until <time>     End of the window (default: now)
+                     Times: now, today, yesterday, 30m, 24h, 7d (ago),
+                     2026-10-01 or 2026-10-01T08:00
+  --by <fields>      Group by, comma-separated: ${GROUP_FIELDS.join(', ')}
+                     (default: model)
+  --prices <file>    Prices in USD per million tokens: {"<model>": {"input": 3,
+                     "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75}}.
+                     Models may use * wildcards. Adds to the model costs in
+                     openclaw.json (models.providers.*.models[].cost)
+  --recording <file> Count totalTokens growth in a clawtop --record file instead
+                     of transcript usage
+  --format <fmt>     Output: table, json or csv (default: table)
+  --json             Same as --format json
+  --agent <id>       Only this agent's usage (repeatable)
+  --source <src>     Where to look up session channel/kind: gateway, file or auto
+  --host, --port, --token, --tls, --insecure   Gateway connection (see clawps -h)
+  --color[=<when>]   Color output: auto, always or never (default: auto)
+  --no-color         Same as --color=never
+  --theme <name>     Color theme: ${THEME_NAMES.join(', ')}
+                     (default: the theme in config.json, else default)
+
+Examples:
+  clawstat                              # Today, by model
+  clawstat --since 7d --by day,model    # Daily burn per model for a week
+  clawstat --since yesterday --until today --by channel,kind
+  clawstat --by agent --prices prices.json --format csv
+  clawstat --recording night.ndjson --by model
+`);
+}
+
+if (options.help) {
+  printHelp();
+  process.exit(0);
+}
+
+function fail(message) {
+  console.error(`clawstat: ${message}`);
+  process.exit(1);
+}
+
+if (!SOURCES.includes(options.source)) {
+  fail(`invalid --source '${options.source}' (expected gateway, file or auto)`);
+}
+if (options.gateway.port !== undefined && !isValidPort(options.gateway.port)) {
+  fail(`invalid --port '${options.gateway.port}'`);
+}
+if (!COLOR_MODES.includes(options.colorMode)) {
+  fail(`invalid --color '${options.colorMode}' (expected ${COLOR_MODES.join(', ')})`);
+}
+if (!OUTPUT_FORMATS.includes(options.format)) {
+  fail(`invalid --format '${options.format}' (expected ${OUTPUT_FORMATS.join(', ')})`);
+}
+for (const field of options.by) {
+  if (!GROUP_FIELDS.includes(field)) {
+    fail(`unknown --by field '${field}' (expected ${GROUP_FIELDS.join(', ')})`);
+  }
+}
+
+const now = Date.now();
+const since = parseTimeArg(options.since, now);
+const until = parseTimeArg(options.until, now);
+if (since === null) fail(`invalid --since '${options.since}'`);
+if (until === null) fail(`invalid --until '${options.until}'`);
+if (since >= until) fail('--since must be before --until');
+
+const gatewayConfig = loadConfig(options.gateway);
+
+let theme;
+try {
+  theme = createTheme(options.theme || getDisplaySettings().theme, getColorDepth({ mode: options.colorMode }));
+} catch (err) {
+  fail(err.message);
+}
+
+// `role` is a lib/theme.js role
+function color(role, text) {
+  return theme[role] ? `${theme[role]}${text}${theme.reset}` : text;
+}
+
+const METRICS = [
+  { name: 'sessions', header: 'SESSIONS' },
+  { name: 'requests', header: 'REQS' },
+  { name: 'input', header: 'INPUT' },
+  { name: 'output', header: 'OUTPUT' },
+  { name: 'cacheRead', header: 'CACHE-R' },
+  { name: 'cacheWrite', header: 'CACHE-W' },
+  { name: 'tokens', header: 'TOKENS' },
+  { name: 'cost', header: 'COST' },
+];
+
+function formatCount(n) {
+  return n.toLocaleString('en-US');
+}
+
+function formatCost(cost) {
+  if (cost === null) return '-';
+  return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+function totalOf(rows) {
+  const total = { requests: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, tokens: 0, cost: null };
+  rows.forEach(row => {
+    ['requests', 'input', 'output', 'cacheRead', 'cacheWrite', 'tokens'].forEach(f => { total[f] += row[f]; });
+    if (row.cost !== null) total.cost = (total.cost || 0) + row.cost;
+  });
+  return total;
+}
+
+function printTable(rows, total) {
+  const window = `${new Date(since).toLocaleString()} – ${new Date(until).toLocaleString()}`;
+  console.log();
+  console.log(color('dim', `Usage ${window}${options.recording ? ` (from ${options.recording})` : ''}`));
+
+  if (rows.length === 0) {
+    console.log(color('dim', 'No usage in this window.'));
+    console.log();
+    return;
+  }
+
+  const text = row => [
+    ...options.by.map(field => String(row[field] ?? '-')),
+    ...METRICS.map(m => {
+      if (m.name === 'cost') return formatCost(row.cost);
+      return row[m.name] === undefined ? '' : formatCount(row[m.name]);
+    }),
+  ];
+  const header = [...options.by.map(f => f.toUpperCase()), ...METRICS.map(m => m.header)];
+  const totalRow = text({ ...total, [options.by[0]]: 'TOTAL' })
+    .map((cell, i) => (i > 0 && i < options.by.length ? '' : cell));
+  const body = rows.map(text);
+  const widths = header.map((h, i) => Math.max(h.length, totalRow[i].length, ...body.map(r => r[i].length)));
+  // Group columns left-aligned, numbers right-aligned
+  const line = cells => cells
+    .map((cell, i) => (i < options.by.length ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ');
+
+  console.log(color('bright', line(header)));
+  console.log(color('dim', '-'.repeat(line(header).length)));
+  body.forEach(cells => console.log(line(cells)));
+  console.log(color('dim', '-'.repeat(line(header).length)));
+  console.log(color('bright', line(totalRow)));
+  if (total.cost === null) {
+    console.log(color('dim', 'No prices known for these models; see --prices.'));
+  }
+  console.log();
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function printCsv(rows) {
+  const fields = [...options.by, ...METRICS.map(m => m.name)];
+  console.log(fields.join(','));
+  rows.forEach(row => {
+    console.log(fields.map(f => csvCell(f === 'cost' && row.cost !== null ? row.cost.toFixed(6) : row[f])).join(','));
+  });
+}
+
+async function main() {
+  let records;
+  if (options.recording) {
+    records = collectRecordingUsage(options.recording, { since, until, agents: options.agents });
+  } else {
+    // Sessions only supply channel/kind; usage still counts without them
+    let sessions = [];
+    try {
+      ({ sessions } = await fetchSessions({ agent: options.agents, source: options.source, config: gatewayConfig }));
+    } catch (err) {
+      console.error(color('dim', `clawstat: sessions unavailable (${err.message}); channel and kind will be '-'`));
+    }
+    records = collectTranscriptUsage({ since, until, sessions, agents: options.agents });
+  }
+
+  const rows = aggregateUsage(records, options.by, loadPrices(options.prices));
+  const total = totalOf(rows);
+  total.sessions = new Set(records.map(r => r.key)).size;
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify({
+      since: new Date(since).toISOString(),
+      until: new Date(until).toISOString(),
+      by: options.by,
+      rows,
+      total,
+    }, null, 2));
+  } else if (options.format === 'csv') {
+    printCsv(rows);
+  } else {
+    printTable(rows, total);
+  }
+}
+
+main().catch(err => {
+  console.error(color('red', `clawstat: ${err.code === 'ENOENT' ? `no such file '${err.path}'` : err.message}`));
+  process.exit(1);
+});
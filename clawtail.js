@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * clawtail - Follow an OpenClaw session transcript like `tail -f`
+ * Usage: clawtail [options] <session>
+ */
+
+const {
+  SOURCES,
+  loadConfig,
+  fetchSessions,
+  getAgentName,
+  getDisplaySettings,
+  isValidPort,
+} = require('./lib/core');
+const {
+  resolveTranscriptPath,
+  parseTranscriptLine,
+  readNewLines,
+} = require('./lib/transcript');
+const { COLOR_MODES, THEME_NAMES, getColorDepth, getColorModeArg, createTheme } = require('./lib/theme');
+
+const ROLE_COLORS = {
+  user: 'cyan',
+  assistant: 'green',
+  toolResult: 'yellow',
+  tool: 'yellow',
+  system: 'magenta',
+};
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const options = {
+  colorMode: getColorModeArg(args) || 'auto',
+  theme: null,
+  help: args.includes('-h') || args.includes('--help'),
+  json: args.includes('--json'),
+  follow: !args.includes('--no-follow'),
+  lines: 10,
+  agents: [],
+  source: 'auto',
+  gateway: {},
+  interval: 500, // ms between transcript polls
+  query: null,
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '-n' || arg === '--lines') {
+    options.lines = parseInt(args[++i], 10);
+  } else if (/^-n\d+$/.test(arg)) {
+    options.lines = parseInt(arg.slice(2), 10);
+  } else if (arg === '--agent') {
+    options.agents.push(args[++i]);
+  } else if (arg === '--source') {
+    options.source = args[++i];
+  } else if (arg === '--host') {
+    options.gateway.host = args[++i];
+  } else if (arg === '--port') {
+    options.gateway.port = args[++i];
+  } else if (arg === '--token') {
+    options.gateway.token = args[++i];
+  } else if (arg === '--tls') {
+    options.gateway.tls = true;
+  } else if (arg === '--insecure') {
+    options.gateway.insecure = true;
+  } else if (arg === '--theme') {
+    options.theme = args[++i];
+  } else if (arg.startsWith('--theme=')) {
+    options.theme = arg.slice('--theme='.length);
+  } else if (arg === '--color' && COLOR_MODES.includes(args[i + 1])) {
+    i++; // the mode, read by getColorModeArg()
+  } else if (!arg.startsWith('-') && options.query === null) {
+    options.query = arg;
+  }
+}
+
+function printHelp() {
+  console.log(`
+Usage: clawtail [options] <session>
+
+Follow a session transcript, printing new messages as they arrive.
+<session> is a session key, agent id (for its main session), display name
+or sessionId prefix.
+
+Options:
+  -h, --help       Show this help message
+  -n <count>       Show the last <count> messages first (default: 10)
+  --no-follow      Print the backlog and exit
+  --json           Print raw transcript lines instead of formatted messages
+  --agent <id>     Only look for the session in this agent (repeatable)
+  --source <src>   Session source: gateway, file or auto (default: auto)
+  --host, --port, --token, --tls, --insecure   Gateway connection (see clawps -h)
+  --color[=<when>] Color output: auto, always or never (default: auto)
+  --no-color       Same as --color=never
+  --theme <name>   Color theme: ${THEME_NAMES.join(', ')}
+                   (default: the theme in config.json, else default)
+
+Examples:
+  clawtail agent:main:main       # Follow by key
+  clawtail "Daily SPA Generator" # Follow by display name
+  clawtail a1b2c3d4 -n 50        # sessionId prefix, 50 messages of backlog
+  clawtail main --json | jq .    # Raw entries of the main agent's main session
+`);
+}
+
+if (options.help) {
+  printHelp();
+  process.exit(0);
+}
+
+if (!options.query) {
+  printHelp();
+  process.exit(1);
+}
+
+if (!SOURCES.includes(options.source)) {
+  console.error(`clawtail: invalid --source '${options.source}' (expected gateway, file or auto)`);
+  process.exit(1);
+}
+
+if (options.gateway.port !== undefined && !isValidPort(options.gateway.port)) {
+  console.error(`clawtail: invalid --port '${options.gateway.port}'`);
+  process.exit(1);
+}
+
+if (isNaN(options.lines) || options.lines < 0) {
+  console.error('clawtail: -n expects a non-negative number');
+  process.exit(1);
+}
+
+const gatewayConfig = loadConfig(options.gateway);
+
+if (!COLOR_MODES.includes(options.colorMode)) {
+  console.error(`clawtail: invalid --color '${options.colorMode}' (expected ${COLOR_MODES.join(', ')})`);
+  process.exit(1);
+}
+
+let theme;
+try {
+  theme = createTheme(options.theme || getDisplaySettings().theme, getColorDepth({ mode: options.colorMode }));
+} catch (err) {
+  console.error(`clawtail: ${err.message}`);
+  process.exit(1);
+}
+
+// `role` is a lib/theme.js role
+function color(role, text) {
+  return theme[role] ? `${theme[role]}${text}${theme.reset}` : text;
+}
+
+// Find the session a query refers to: exact key, then an agent id (for its
+// main session, agent:<id>:main), then display name (as shown by clawps),
+// then sessionId prefix. Throws if nothing or more than one session matches.
+function resolveSession(sessions, query) {
+  const lower = query.toLowerCase();
+  const byKey = sessions.filter(s => s.key === query || s.key === `agent:${query}:main`);
+  if (byKey.length > 0) return byKey.find(s => s.key === query) || byKey[0];
+
+  const byName = sessions.filter(s =>
+    (s.displayName || '').toLowerCase() === lower || getAgentName(s).toLowerCase() === lower);
+  const byId = sessions.filter(s => (s.sessionId || '').startsWith(query));
+  const matches = byName.length > 0 ? byName : byId;
+
+  if (matches.length === 0) {
+    throw new Error(`No session matches '${query}'`);
+  }
+  if (matches.length > 1) {
+    const list = matches.map(s => `  ${s.key}  (${getAgentName(s)}, ${s.sessionId.substring(0, 8)})`).join('\n');
+    throw new Error(`'${query}' matches ${matches.length} sessions:\n${list}`);
+  }
+  return matches[0];
+}
+
+async function findSession() {
+  const { sessions } = await fetchSessions({
+    agent: options.agents,
+    source: options.source,
+    config: gatewayConfig,
+  });
+  return resolveSession(sessions, options.query);
+}
+
+function formatTime(time) {
+  return time === null ? '--:--:--' : new Date(time).toLocaleTimeString([], { hour12: false });
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map((line, i) => (i === 0 ? line : prefix + line)).join('\n');
+}
+
+function summarizeArgs(value) {
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  if (!str) return '';
+  return str.length > 120 ? str.substring(0, 119) + '…' : str;
+}
+
+// Format one transcript entry, or null for entries not worth showing
+function formatEntry(entry) {
+  if (entry.type !== 'message') return null;
+  const time = color('gray', formatTime(entry.time));
+  const roleColor = ROLE_COLORS[entry.role] || 'white';
+  const out = [];
+
+  if (entry.role === 'toolResult' || entry.role === 'tool') {
+    const text = entry.text.replace(/\s+/g, ' ').trim();
+    const preview = text.length > 160 ? text.substring(0, 159) + '…' : text;
+    out.push(`${time} ${color(roleColor, `← ${entry.toolName || 'tool'}`)} ${color('dim', preview)}`);
+    return out.join('\n');
+  }
+
+  const label = color(roleColor, `${entry.role}>`);
+  if (entry.text.trim()) {
+    const prefix = ' '.repeat(formatTime(entry.time).length + entry.role.length + 3);
+    out.push(`${time} ${theme.bright}${label} ${indent(entry.text.trim(), prefix)}`);
+  }
+  for (const call of entry.toolCalls) {
+    out.push(`${time} ${color('magenta', `→ ${call.name}`)} ${color('dim', summarizeArgs(call.arguments))}`);
+  }
+  return out.length > 0 ? out.join('\n') : null;
+}
+
+function printLine(line) {
+  if (options.json) {
+    console.log(line);
+    return;
+  }
+  const entry = parseTranscriptLine(line);
+  const formatted = entry && formatEntry(entry);
+  if (formatted) console.log(formatted);
+}
+
+// Print the last `count` messages (all raw lines with --json)
+function printBacklog(lines, count) {
+  if (count === 0) return;
+  const shown = options.json
+    ? lines
+    : lines.filter(line => {
+      const entry = parseTranscriptLine(line);
+      return entry && formatEntry(entry) !== null;
+    });
+  shown.slice(-count).forEach(printLine);
+}
+
+async function main() {
+  let session = await findSession();
+  let transcriptPath = resolveTranscriptPath(session);
+  if (!transcriptPath) {
+    throw new Error(`Session ${session.key} has no transcript`);
+  }
+
+  if (!options.json) {
+    console.log(color('dim', `==> ${getAgentName(session)} (${session.key}) ${transcriptPath} <==`));
+  }
+
+  let state = {};
+  try {
+    printBacklog(readNewLines(transcriptPath, state).lines, options.lines);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    if (!options.follow) throw new Error(`Transcript not found: ${transcriptPath}`);
+    if (!options.json) console.log(color('dim', '==> waiting for transcript <=='));
+  }
+  if (!options.follow) return;
+
+  let checking = false;
+  let lastResolve = Date.now();
+
+  const poll = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      // Re-resolve every few seconds to notice the session moving to a new transcript
+      if (Date.now() - lastResolve >= 2000) {
+        lastResolve = Date.now();
+        try {
+          const current = resolveSession((await fetchSessions({
+            agent: options.agents,
+            source: options.source,
+            config: gatewayConfig,
+          })).sessions, session.key);
+          const nextPath = resolveTranscriptPath(current);
+          if (nextPath && nextPath !== transcriptPath) {
+            // Drain what is left of the old transcript before switching
+            try {
+              readNewLines(transcriptPath, state).lines.forEach(printLine);
+            } catch (err) {
+              // Old transcript already gone
+            }
+            session = current;
+            transcriptPath = nextPath;
+            state = {};
+            if (!options.json) {
+              console.log(color('dim', `==> session rotated: ${transcriptPath} <==`));
+            }
+          }
+        } catch (err) {
+          // Keep following the current transcript
+        }
+      }
+
+      try {
+        const { lines, reset } = readNewLines(transcriptPath, state);
+        if (reset && !options.json) {
+          console.log(color('dim', '==> transcript truncated <=='));
+        }
+        lines.forEach(printLine);
+      } catch (err) {
+        // Transcript not there (yet); wait for the next poll
+      }
+    } finally {
+      checking = false;
+    }
+  };
+
+  setInterval(poll, options.interval);
+}
+
+main().catch(err => {
+  console.error(color('red', `clawtail: ${err.message}`));
+  process.exit(1);
+});
@@ -7,28 +7,81 @@
  * Usage: node clawtop.js [options]
  *   -n, --iterations  Number of iterations (default: infinite)
  *   -d, --delay       Delay in seconds between updates (default: 2)
- *   -s, --sort       Sort by: cpu, mem, idle, tokens (default: cpu)
+ *   -s, --sort       Sort by: cpu, mem, ctx, idle, tokens (default: cpu)
+ *   -o, --columns    Table columns after NAME, e.g. cpu,ctx,idle
+ *   --profile NAME   Use the saved settings named NAME (W saves them)
+ *   --agent ID       Only show sessions for this agent (repeatable)
+ *   --source SRC     Session source: gateway, file or auto (default: auto)
+ *   --host, --port, --token, --tls, --insecure   Gateway connection
+ *   --format FMT     json, ndjson, csv, tsv or prom output instead of the UI
+ *   --exporter ADDR  Serve /metrics and /sessions.json on [host]:port
+ *   --dry-run        Show what x/c would send instead of sending it
+ *   --alert RULES    Alert rules (default: ctx>=90,aborted,overdue)
+ *   --on-alert CMD   Run CMD when an alert is raised or cleared
+ *   --record FILE    Append every refresh to FILE (NDJSON)
+ *   --replay FILE    Play back a recording, --speed N for N× speed
+ *   --forest         Start in tree view
+ *   --color WHEN     auto, always or never; --theme NAME for the colours
+ *   --filter EXPR    Only show sessions matching EXPR, e.g. 'kind=cron ctx>80%'
+ *   --debug          Show the config files, session stores and gateway endpoints tried
  *   -h, --help       Show this help
  * 
  * Keyboard shortcuts (when running):
+ *   ↑/↓ j/k  Move the cursor (PgUp/PgDn by a page), Enter for session details, Esc to return
+ *   x / c    Abort / compact the selected session (asks first)
+ *   ←/→ [ ]  Replay: step one snapshot / seek a minute, +/- change speed
  *   q        Quit
  *   r        Reverse sort order
  *   s        Change sort field
+ *   t        Tree view: sessions by agent, channel and spawning parent
+ *   g        Charts of token rate and context across all sessions
+ *   /  n N   Search names, keys, channels and models; next/previous match
+ *   f        Filter expression, as with --filter
+ *   W        Save sort, delay, view, filter and columns to clawtop.json
  *   Space    Pause/Resume updates
  *   h        Show help
  */
 
-import http from 'http';
-import https from 'https';
-import { execSync } from 'child_process';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import readline from 'readline';
-import os from 'os';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const http = require('http');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const os = require('os');
+const {
+  SOURCES,
+  setDebugLogger,
+  loadConfig,
+  getStateDir,
+  checkGatewayHealth,
+  classifyStatus,
+  formatDuration,
+  formatBytes,
+  formatTokens,
+  getAgentName,
+  formatChannel,
+  getDisplaySettings,
+  isValidPort
+} = require('./lib/core');
+const { getContextUsage } = require('./lib/context');
+const { buildSessionTree, flattenTree } = require('./lib/tree');
+const { FORMATS, formatSessions, formatPrometheus } = require('./lib/output');
+const { getSessionStart } = require('./lib/transcript');
+const { ACTIONS, runSessionAction } = require('./lib/actions');
+const {
+  DEFAULT_ALERT_RULES,
+  parseAlertRules,
+  createAlertTracker,
+  runAlertHook
+} = require('./lib/alerts');
+const { createSessionRefresher } = require('./lib/monitor');
+const { createChangeFeed } = require('./lib/watch');
+const { createScreen, visibleLength } = require('./lib/screen');
+const { createSessionHistory } = require('./lib/history');
+const { sparkline, brailleChart } = require('./lib/chart');
+const { parseFilter, matchesSearch } = require('./lib/filter');
+const { getPrefsFile, loadPrefs, savePrefs } = require('./lib/prefs');
+const { COLOR_MODES, THEME_NAMES, getColorDepth, getColorModeArg, createTheme } = require('./lib/theme');
 
 // Default config
 const CONFIG = {
@@ -36,83 +89,60 @@ const CONFIG = {
   iterations: Infinity,
   sortBy: 'cpu',
   reverse: false,
+  tree: false,
+  filter: null, // parsed --filter / f expression
+  columns: null, // -o column names, null for all
+  profile: null, // --profile: W saves to this named setup
+  colorMode: 'auto', // --color
+  theme: null, // --theme, else the one in config.json
   maxSessions: 20,
   showSystem: true,
-  color: true,
-  showAll: false
+  showAll: false,
+  agents: [],
+  source: 'auto',
+  format: null,
+  exporter: null,
+  dryRun: false,
+  debug: false,
+  alertRules: parseAlertRules(DEFAULT_ALERT_RULES),
+  onAlert: null,
+  record: null,
+  replay: null,
+  speed: 1
 };
 
 // State
 let paused = false;
 let showingHelp = false;
+let showingGraph = false; // g: throughput and context charts above the table
 let inputBuffer = '';
-let awaitingInput = null; // 'delay' or 'iterations'
-
-// Colors (disable on Windows or no-color)
-const isWindows = process.platform === 'win32';
-const noColor = process.env.NO_COLOR || isWindows;
-
-const C = noColor ? {
-  reset: '', bright: '', dim: '', green: '', yellow: '', red: '', cyan: '', magenta: '', white: '', gray: ''
-} : {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  red: '\x1b[31m',
-  cyan: '\x1b[36m',
-  magenta: '\x1b[35m',
-  white: '\x1b[37m',
-  gray: '\x1b[90m'
-};
+let awaitingInput = null; // 'delay', 'iterations', 'confirm', 'search' or 'filter'
+let searchQuery = ''; // /: matching rows are underlined, n/N jump between them
+let pendingAction = null; // { action, session } waiting for y/n
+let statusMessage = null; // { text, color, until } shown under the footer
+let replay = null; // { frames, index, clock, speed, ended } when playing back a recording
+let currentSource = null; // 'gateway' or 'file' once sessions are loaded
+let selectedKey = null; // session under the cursor
+let detailKey = null; // session shown in the detail pane
+let warnings = []; // session stores the last refresh could not read
+let lastGoodAt = null; // time of the last refresh that returned sessions
+const debugLines = []; // latest --debug messages, shown under the footer
+const MAX_DEBUG_LINES = 5;
+let wakeUp = null; // ends the current sleep early, set while sleeping
+let scrollTop = 0; // first table row on screen
+let pageSize = 1; // table rows on screen, for PgUp/PgDn
 
-function getGatewayConfig() {
-  const configPaths = [
-    process.env.HOME + '/.openclaw/openclaw.json',
-    process.env.USERPROFILE + '/.openclaw/openclaw.json',
-    '/etc/openclaw/openclaw.json'
-  ];
-  
-  for (const configPath of configPaths) {
-    try {
-      if (fs.existsSync(configPath)) {
-        const raw = fs.readFileSync(configPath, 'utf8');
-        const config = JSON.parse(raw);
-        return {
-          port: config.gateway?.port || 18789,
-          token: config.gateway?.auth?.token,
-          host: config.gateway?.host || 'localhost'
-        };
-      }
-    } catch {}
-  }
-  return { port: 18789, token: null, host: 'localhost' };
-}
+const screen = createScreen(process.stdout);
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-}
+const alertTracker = createAlertTracker();
 
-function formatDuration(seconds) {
-  if (!seconds || seconds < 0) return '--';
-  const days = Math.floor(seconds / 86400);
-  const hours = Math.floor((seconds % 86400) / 3600);
-  const mins = Math.floor((seconds % 3600) / 60);
-  if (days > 0) return `${days}d ${hours}h`;
-  if (hours > 0) return `${hours}h ${mins}m`;
-  return `${mins}m`;
-}
+// Context and token rate samples per session over this run, for the detail
+// pane, the sparkline columns and the g chart
+const history = createSessionHistory({ capacity: 500 });
 
-function formatNumber(num) {
-  if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-  if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-  return num.toString();
-}
+// Colours by role (see lib/theme.js), redone for --color and --theme once
+// the options are read. Context bands and statuses are roles too: C[band].
+const C = createTheme('default', getColorDepth());
 
 function getSystemInfo() {
   const info = {
@@ -134,7 +164,8 @@ function getSystemInfo() {
       const out = execSync('sw_vers -productVersion 2>/dev/null', { encoding: 'utf8', timeout: 2000 });
       info.os = 'macOS ' + out.trim();
     } else if (process.platform === 'linux') {
-      const out = execSync('cat /etc/os-release 2>/dev/null | grep PRETTY_NAME | cut -d= -f2 | tr -d "\""', { encoding: 'utf8', timeout: 2000 });
+      // stderr stays off the screen, which is drawn by diffing frames
+      const out = execSync(`cat /etc/os-release 2>/dev/null | grep PRETTY_NAME | cut -d= -f2 | tr -d '"'`, { encoding: 'utf8', timeout: 2000, stdio: ['ignore', 'pipe', 'ignore'] });
       info.os = out.trim() || 'Linux';
     } else if (process.platform === 'win32') {
       info.os = 'Windows';
@@ -226,70 +257,7 @@ function getGatewayUptime() {
   return null;
 }
 
-// Read sessions directly from sessions.json (like CLI does)
-function getSessionsFromFile() {
-  const sessionsPath = path.join(process.env.HOME || process.env.USERPROFILE, '.openclaw', 'agents', 'main', 'sessions', 'sessions.json');
-  try {
-    const data = fs.readFileSync(sessionsPath, 'utf8');
-    const sessionsObj = JSON.parse(data);
-    
-    const sessions = Object.entries(sessionsObj).map(([key, session]) => ({
-      key: key,
-      channel: session.channel || 'unknown',
-      displayName: session.displayName || key,
-      updatedAt: session.updatedAt || session.lastMessageAt || 0,
-      sessionId: session.sessionId || key,
-      model: session.model || 'unknown',
-      contextTokens: session.contextWindow || session.contextTokens || 0,
-      totalTokens: session.totalTokens || 0,
-      kind: session.kind || 'other',
-      deliveryContext: session.deliveryContext || {},
-      systemSent: session.systemSent || false,
-      abortedLastRun: session.abortedLastRun || false,
-      lastChannel: session.lastChannel || session.channel || '',
-      lastTo: session.lastTo || '',
-      lastAccountId: session.lastAccountId || '',
-      transcriptPath: session.transcriptPath || ''
-    }));
-    
-    // Sort by updatedAt descending
-    sessions.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
-    return sessions;
-  } catch (err) {
-    return [];
-  }
-}
-
-// Simple health check - just verifies gateway is reachable
-async function checkGatewayHealth(config) {
-  return new Promise((resolve) => {
-    const { port, token, host } = config;
-    
-    const req = http.request({
-      hostname: host,
-      port,
-      path: '/health',
-      method: 'GET',
-      timeout: 3000
-    }, (res) => {
-      resolve(res.statusCode === 200);
-    });
-    
-    req.on('error', () => resolve(false));
-    req.on('timeout', () => { req.destroy(); resolve(false); });
-    req.end();
-  });
-}
-
-function calculateCpuUsage(session, prevSession, elapsedMs) {
-  if (!session || !prevSession || elapsedMs < 500) return 0;
-  const currTokens = session.totalTokens || 0;
-  const prevTokens = prevSession.totalTokens || 0;
-  const diff = currTokens - prevTokens;
-  if (diff <= 0) return 0;
-  const tps = diff / (elapsedMs / 1000);
-  return Math.min(100, tps);
-}
+const SORT_FIELDS = ['cpu', 'mem', 'ctx', 'idle', 'tokens', 'name'];
 
 function sortSessions(sessions, sortBy, reverse) {
   const sorted = [...sessions].sort((a, b) => {
@@ -297,8 +265,12 @@ function sortSessions(sessions, sortBy, reverse) {
     
     switch (sortBy) {
       case 'cpu':
-        valA = a._cpu || 0;
-        valB = b._cpu || 0;
+        valA = a.tokenRate || 0;
+        valB = b.tokenRate || 0;
+        break;
+      case 'ctx':
+        valA = getContextUsage(a).percent ?? -1;
+        valB = getContextUsage(b).percent ?? -1;
         break;
       case 'mem':
       case 'tokens':
@@ -310,12 +282,12 @@ function sortSessions(sessions, sortBy, reverse) {
         valB = b.updatedAt || 0;
         break;
       case 'name':
-        valA = (a.displayName || a.key || '').toLowerCase();
-        valB = (b.displayName || b.key || '').toLowerCase();
+        valA = getAgentName(a).toLowerCase();
+        valB = getAgentName(b).toLowerCase();
         break;
       default:
-        valA = a._cpu || 0;
-        valB = b._cpu || 0;
+        valA = a.tokenRate || 0;
+        valB = b.tokenRate || 0;
     }
     
     if (typeof valA === 'string') {
@@ -327,17 +299,481 @@ function sortSessions(sessions, sortBy, reverse) {
   return sorted;
 }
 
-function clearScreen() {
-  process.stdout.write('\x1b[2J\x1b[H');
+// Sessions matching the filter, if any
+function filterSessions(sessions, now = Date.now()) {
+  return CONFIG.filter ? sessions.filter(s => CONFIG.filter.test(s, now)) : sessions;
+}
+
+// Sessions in display order: filtered and sorted, then regrouped as a tree
+// in tree view
+function orderSessions(sessions, now = Date.now()) {
+  const sorted = sortSessions(filterSessions(sessions, now), CONFIG.sortBy, CONFIG.reverse);
+  if (!CONFIG.tree) return sorted;
+  return flattenTree(buildSessionTree(sorted))
+    .filter(row => row.node.type === 'session')
+    .map(row => row.node.session);
+}
+
+// Session refresher for the current options (stale sessions dropped unless -a)
+function createRefresher(config) {
+  return createSessionRefresher({
+    config,
+    agents: CONFIG.agents,
+    source: CONFIG.source,
+    all: CONFIG.showAll,
+    alertRules: CONFIG.alertRules
+  });
+}
+
+// One refresh; remembers the source for the footer and fires --on-alert hooks
+async function collectSessions(refresher) {
+  const result = await refresher.refresh();
+  if (result.source) currentSource = result.source;
+  warnings = result.warnings;
+  if (!result.error) fireAlertHooks(result.sessions);
+  return result;
+}
+
+// Run --on-alert for each alert raised or cleared since the last refresh.
+// Hooks run in the background so a slow one doesn't hold up the display.
+function fireAlertHooks(sessions) {
+  const events = alertTracker.update(sessions);
+  if (!CONFIG.onAlert) return;
+  events.forEach(async event => {
+    const { code, stderr } = await runAlertHook(CONFIG.onAlert, event);
+    if (code === 0) return;
+    const text = `--on-alert exited with ${code} for ${event.session.key}${stderr ? `: ${stderr}` : ''}`;
+    if (CONFIG.format || CONFIG.exporter) {
+      console.error(`clawtop: ${text}`);
+    } else {
+      statusMessage = { text, color: C.red, until: Date.now() + 5000 };
+    }
+  });
+}
+
+// Wait `ms`, or less if a session store or transcript changes meanwhile
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  }).finally(() => {
+    wakeUp = null;
+  });
+}
+
+// Refresh early when the local session files change
+function watchSessionFiles() {
+  return createChangeFeed(() => wakeUp && wakeUp(), {
+    stateDir: getStateDir(),
+    agents: CONFIG.agents,
+    debounce: 500
+  });
+}
+
+// --format mode: print each refresh instead of drawing the screen
+async function runHeadless(config) {
+  const refresher = createRefresher(config);
+  const feed = watchSessionFiles();
+  for (let iteration = 0; iteration < CONFIG.iterations; iteration++) {
+    if (iteration > 0) {
+      await sleep(CONFIG.delay * 1000);
+    }
+    const { sessions, error, now } = await collectSessions(refresher);
+    warnings.forEach(warning => console.error('clawtop: ' + warning.message));
+    if (error) {
+      console.error('clawtop: ' + error);
+      process.exitCode = 1;
+      continue;
+    }
+    if (CONFIG.record) {
+      recordSnapshot(CONFIG.record, { now, source: currentSource, sessions });
+    }
+    const sorted = sortSessions(filterSessions(sessions, now), CONFIG.sortBy, CONFIG.reverse);
+    console.log(formatSessions(sorted, CONFIG.format, {
+      source: currentSource,
+      now,
+      header: iteration === 0
+    }));
+  }
+  feed.close();
+}
+
+// --record: append one refresh as an NDJSON line. The line is a superset of
+// `--format ndjson` output, so either can be replayed.
+function recordSnapshot(file, { now, source, gateway, system, sessions }) {
+  const line = { time: new Date(now).toISOString(), source, gateway, system, sessions };
+  fs.appendFileSync(file, JSON.stringify(line) + '\n');
+}
+
+// --replay: read a recording into frames ordered by time
+function loadRecording(file) {
+  const frames = [];
+  let skipped = 0;
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      const time = Date.parse(entry.time);
+      if (isNaN(time) || !Array.isArray(entry.sessions)) throw new Error('not a snapshot');
+      frames.push({ ...entry, time });
+    } catch (e) {
+      skipped++;
+    }
+  });
+  if (frames.length === 0) {
+    throw new Error(`No snapshots in ${file}`);
+  }
+  if (skipped > 0) {
+    console.error(`clawtop: skipped ${skipped} unreadable line${skipped !== 1 ? 's' : ''} in ${file}`);
+  }
+  return frames.sort((a, b) => a.time - b.time);
+}
+
+// Speeds like '10x', '10' or '0.5x'
+function parseSpeed(value) {
+  const speed = parseFloat(String(value || '').replace(/x$/i, ''));
+  return speed > 0 ? speed : null;
+}
+
+// -o column names, in any case; throws on one clawtop doesn't have
+function parseColumns(names) {
+  const available = TABLE_COLUMNS.map(c => c.name);
+  return names.map(name => {
+    const column = String(name).trim().toLowerCase();
+    if (!available.includes(column)) {
+      throw new Error(`unknown column '${name}' (available: ${available.join(', ')})`);
+    }
+    return column;
+  });
+}
+
+// Apply saved preferences (lib/prefs.js). This happens before the command
+// line is read, so its options win. Bad values are reported and skipped.
+function applyPrefs(prefs) {
+  const skip = (key, reason) => console.error(`clawtop: ignoring saved ${key}: ${reason}`);
+  if (prefs.sortBy !== undefined) {
+    if (SORT_FIELDS.includes(prefs.sortBy)) CONFIG.sortBy = prefs.sortBy;
+    else skip('sortBy', `expected ${SORT_FIELDS.join(', ')}`);
+  }
+  if (prefs.delay !== undefined) {
+    if (prefs.delay > 0 && prefs.delay <= 3600) CONFIG.delay = prefs.delay;
+    else skip('delay', 'expected 1 to 3600 seconds');
+  }
+  if (prefs.filter) {
+    try {
+      CONFIG.filter = parseFilter(prefs.filter);
+    } catch (err) {
+      skip('filter', err.message);
+    }
+  }
+  if (prefs.columns) {
+    try {
+      CONFIG.columns = parseColumns(prefs.columns);
+    } catch (err) {
+      skip('columns', err.message);
+    }
+  }
+  ['reverse', 'showAll', 'showSystem', 'tree'].forEach(key => {
+    if (prefs[key] !== undefined) CONFIG[key] = prefs[key];
+  });
+  if (prefs.graph !== undefined) showingGraph = prefs.graph;
+  if (prefs.color !== undefined) {
+    if (COLOR_MODES.includes(prefs.color)) CONFIG.colorMode = prefs.color;
+    else skip('color', `expected ${COLOR_MODES.join(', ')}`);
+  }
+  if (prefs.theme !== undefined) {
+    if (THEME_NAMES.includes(prefs.theme)) CONFIG.theme = prefs.theme;
+    else skip('theme', `expected ${THEME_NAMES.join(', ')}`);
+  }
+}
+
+// What W saves: the current view, as changed by options and keys
+function currentPrefs() {
+  return {
+    sortBy: CONFIG.sortBy,
+    reverse: CONFIG.reverse,
+    delay: CONFIG.delay,
+    showAll: CONFIG.showAll,
+    showSystem: CONFIG.showSystem,
+    tree: CONFIG.tree,
+    graph: showingGraph,
+    filter: CONFIG.filter ? CONFIG.filter.text : '',
+    columns: CONFIG.columns || TABLE_COLUMNS.map(c => c.name),
+    color: CONFIG.colorMode,
+    theme: CONFIG.theme || undefined
+  };
+}
+
+// Keep the cursor on a listed session, defaulting to the first row
+function ensureSelection(sessions) {
+  if (!sessions.some(s => s.key === selectedKey)) {
+    selectedKey = sessions[0]?.key || null;
+  }
 }
 
-function moveToTop() {
-  process.stdout.write('\x1b[H');
+// Parse an --exporter listen address: ':9464', '9464' or 'host:9464'
+function parseListenAddress(address) {
+  const match = /^(?:(.*):)?(\d+)$/.exec(address || '');
+  if (!match) return null;
+  const host = (match[1] || '').replace(/^\[|\]$/g, '');
+  return { host: host || undefined, port: parseInt(match[2]) };
 }
 
-function render(sysInfo, gwUptime, sessionCount, sessions, error, delay) {
-  const width = process.stdout.columns || 80;
+// --exporter mode: refresh on the usual delay and serve the latest snapshot
+// as Prometheus metrics (/metrics) and JSON (/sessions.json)
+async function runExporter(config, listen) {
+  let snapshot = { time: null, source: null, sessions: [], ok: false };
+  const refresher = createRefresher(config);
+  
+  const refresh = async () => {
+    const { sessions, error, now } = await collectSessions(refresher);
+    if (error) {
+      // Keep serving the last good snapshot
+      console.error('clawtop: ' + error);
+      snapshot = { ...snapshot, ok: false };
+    } else {
+      snapshot = { time: now, source: currentSource, sessions: sortSessions(filterSessions(sessions, now), CONFIG.sortBy, CONFIG.reverse), ok: true };
+    }
+  };
+  
+  const server = http.createServer((req, res) => {
+    const url = (req.url || '/').split('?')[0];
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Allow': 'GET, HEAD' });
+      res.end();
+    } else if (url === '/metrics') {
+      const body = formatPrometheus(snapshot.sessions, { now: Date.now() }) +
+        '# HELP clawtop_last_refresh_success Whether the last session refresh succeeded\n' +
+        '# TYPE clawtop_last_refresh_success gauge\n' +
+        `clawtop_last_refresh_success ${snapshot.ok ? 1 : 0}\n`;
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } else if (url === '/sessions.json') {
+      const body = JSON.stringify({
+        time: snapshot.time ? new Date(snapshot.time).toISOString() : null,
+        source: snapshot.source,
+        sessions: snapshot.sessions
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } else if (url === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('clawtop exporter\n\n/metrics        Prometheus metrics\n/sessions.json  Latest sessions\n');
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found\n');
+    }
+  });
+  
+  await refresh();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(listen.port, listen.host, resolve);
+  });
+  const { address, port } = server.address();
+  console.error(`clawtop: exporter listening on ${address}:${port} (refresh every ${CONFIG.delay}s)`);
   
+  let timer;
+  const loop = async () => {
+    await refresh();
+    timer = setTimeout(loop, CONFIG.delay * 1000);
+  };
+  timer = setTimeout(loop, CONFIG.delay * 1000);
+  
+  const shutdown = () => {
+    clearTimeout(timer);
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Gateway reachability plus process uptime (only knowable for a local gateway)
+async function getGatewayStatus(config) {
+  const online = await checkGatewayHealth(config);
+  const isLocal = ['localhost', '127.0.0.1', '::1'].includes(config.host);
+  return {
+    address: `${config.tls ? 'https' : 'http'}://${config.host}:${config.port}`,
+    online,
+    uptime: online && isLocal ? getGatewayUptime() : null
+  };
+}
+
+// Box rule across the terminal: boxLine('┌', '┐', 'CLAWTOP') → ┌─ CLAWTOP ───┐
+function boxLine(left, right, title = '') {
+  const label = title ? `─ ${title} ` : '';
+  return C.cyan + left + label + '─'.repeat(Math.max(0, screen.columns - 2 - visibleLength(label))) + right + C.reset;
+}
+
+// Two-column layout line: `left` then `right` against the right edge
+function spreadLine(left, right) {
+  const gap = screen.columns - 1 - visibleLength(left) - visibleLength(right);
+  return left + ' '.repeat(Math.max(1, gap)) + right;
+}
+
+function renderDetail(session, now) {
+  const lines = [];
+  const field = (label, value) => lines.push(`  ${C.cyan}${label.padEnd(14)}${C.reset}${value}`);
+
+  lines.push(C.bright + boxLine('┌', '┐', 'SESSION DETAIL'));
+  if (!session) {
+    lines.push(C.gray + '  Session is no longer listed' + C.reset);
+  } else {
+    const { tokens, max, percent, band } = getContextUsage(session);
+    const pct = percent === null ? '' : ` (${Math.round(percent)}%)`;
+
+    field('Name', C.bright + (session.displayName || session.key) + C.reset);
+    field('Key', session.key);
+    field('Session ID', session.sessionId || '-');
+    field('Agent', session.agentId || '-');
+    field('Kind', session.kind || '-');
+    field('Channel', session.channel ? formatChannel(session.channel) : '-');
+    field('Model', session.model || '-');
+    field('Last to', session.lastTo || '-');
+    field('Last account', session.lastAccountId || '-');
+    field('Delivery', Object.keys(session.deliveryContext || {}).length > 0 ? JSON.stringify(session.deliveryContext) : '-');
+    field('Aborted', session.abortedLastRun ? C.red + 'yes (last run aborted)' + C.reset : 'no');
+    field('Updated', session.updatedAt
+      ? `${new Date(session.updatedAt).toLocaleString()} (${formatDuration(now - session.updatedAt)} ago)`
+      : '-');
+    field('Context', `${C[band] || ''}${formatTokens(tokens)} / ${max > 0 ? formatTokens(max) : '?'}${pct}${C.reset}`);
+    field('Alerts', session.alerts && session.alerts.length > 0
+      ? C.alert + session.alerts.map(a => a.message).join(', ') + C.reset
+      : '-');
+  }
+
+  lines.push(boxLine('├', '┤', 'Context history (this run)'));
+  const samples = session ? history.get(session.key) : [];
+  // Only show samples where usage changed
+  const changes = samples.filter((sample, i) => i === 0 || sample.tokens !== samples[i - 1].tokens);
+  if (changes.length === 0) {
+    lines.push(C.gray + '  No samples yet' + C.reset);
+  } else {
+    // As many of the latest changes as fit above the footer
+    const shown = changes.slice(-Math.max(1, Math.min(12, screen.rows - lines.length - 5)));
+    if (changes.length > shown.length) {
+      lines.push(C.gray + `  … ${changes.length - shown.length} earlier changes` + C.reset);
+    }
+    shown.forEach(sample => {
+      const idx = changes.indexOf(sample);
+      const delta = idx > 0 ? sample.tokens - changes[idx - 1].tokens : 0;
+      const deltaStr = idx === 0 ? '' : (delta > 0 ? C.green + '+' : C.yellow + '-') + formatTokens(Math.abs(delta)) + C.reset;
+      const pct = sample.max > 0 ? `${Math.round((sample.tokens / sample.max) * 100)}%` : '-';
+      lines.push(`  ${new Date(sample.time).toLocaleTimeString()}  ${formatTokens(sample.tokens).padStart(8)}  ${pct.padStart(4)}  ${deltaStr}`);
+    });
+  }
+
+  lines.push(boxLine('├', '┤'));
+  lines.push(C.gray + '  ↑/↓ or j/k: previous/next session  x: abort  c: compact  Esc: back to list  q: quit' + C.reset);
+  lines.push(...statusMessageLines());
+  lines.push(boxLine('└', '┘'));
+  screen.draw(lines);
+}
+
+// Result of the last x/c action, shown for a few seconds
+function statusMessageLines() {
+  if (statusMessage && Date.now() < statusMessage.until) {
+    return ['  ' + statusMessage.color + statusMessage.text + C.reset];
+  }
+  return [];
+}
+
+// Footer lines for the search and filter, or their prompts while typing.
+// `total` is the number of sessions before filtering.
+function searchLines(sessions, total) {
+  const lines = [];
+  if (awaitingInput === 'search') {
+    lines.push(`  ${C.yellow}/${C.reset}${inputBuffer}${C.gray}  Enter to keep, Esc to cancel${C.reset}`);
+  } else if (searchQuery) {
+    const matches = sessions.filter(s => matchesSearch(s, searchQuery)).length;
+    lines.push(C.gray + `  Search: /${searchQuery}  ${matches} match${matches !== 1 ? 'es' : ''} (n/N)` + C.reset);
+  }
+  if (awaitingInput === 'filter') {
+    lines.push(`  ${C.yellow}Filter: ${C.reset}${inputBuffer}${C.gray}  Enter to apply (empty clears), Esc to cancel${C.reset}`);
+  } else if (CONFIG.filter) {
+    lines.push(C.gray + `  Filter: ${CONFIG.filter.text} (f)  ${sessions.length} of ${total} sessions` + C.reset);
+  }
+  return lines;
+}
+
+// One-line prompt in a box, e.g. for the delay
+function renderPrompt(question, hint) {
+  screen.draw([
+    boxLine('┌', '┐', 'CLAWTOP'),
+    C.yellow + '  ' + question + C.reset + inputBuffer,
+    C.gray + '  ' + hint + C.reset,
+    boxLine('└', '┘')
+  ]);
+}
+
+// The g panel: token rate and context summed over all sessions, as braille
+// charts across the terminal, newest on the right
+function graphLines() {
+  const width = Math.max(10, screen.columns - 4);
+  // Shorter charts on short terminals, so the table keeps some rows
+  const height = screen.rows >= 45 ? 5 : (screen.rows >= 32 ? 3 : 2);
+  const shown = history.totals().slice(-width * 2);
+  if (shown.length === 0) {
+    return [C.gray + '  No samples yet' + C.reset, boxLine('├', '┤')];
+  }
+  const first = shown[0];
+  const latest = shown[shown.length - 1];
+  const span = shown.length > 1 ? ` over ${formatDuration(latest.time - first.time)}` : '';
+  const rates = shown.map(sample => sample.rate);
+  const tokens = shown.map(sample => sample.tokens);
+  const change = latest.tokens - first.tokens;
+
+  return [
+    `  ${C.green}${C.bright}Throughput${C.reset}  ${C.gray}now ${latest.rate.toFixed(1)} tok/s  peak ${Math.max(...rates).toFixed(1)} tok/s${span}${C.reset}`,
+    ...brailleChart(rates, width, height).map(line => '  ' + C.green + line + C.reset),
+    `  ${C.cyan}${C.bright}Context${C.reset}     ${C.gray}now ${formatTokens(latest.tokens)} in ${latest.sessions} session${latest.sessions !== 1 ? 's' : ''}  ${change >= 0 ? '+' : '-'}${formatTokens(Math.abs(change))}${span}${C.reset}`,
+    ...brailleChart(tokens, width, height).map(line => '  ' + C.cyan + line + C.reset),
+    boxLine('├', '┤')
+  ];
+}
+
+// Session table columns after NAME, left to right; `name` is what -o takes.
+// When the terminal is too narrow, columns with a `drop` rank are left out,
+// lowest rank first; NAME gets whatever width is left.
+const TABLE_COLUMNS = [
+  { id: 'agentId', name: 'agentid', header: 'AGENT-ID', width: 10, drop: 6 },
+  { id: 'cpu', name: 'cpu', header: 'CPU', width: 7, align: 'right', sort: 'cpu' },
+  { id: 'rateTrend', name: 'rate', header: 'RATE', width: 8, drop: 4 },
+  { id: 'tokens', name: 'tokens', header: 'TOKENS', width: 9, align: 'right', sort: 'mem' },
+  { id: 'ctx', name: 'ctx', header: 'CTX%', width: 6, align: 'right', sort: 'ctx' },
+  { id: 'ctxTrend', name: 'growth', header: 'GROWTH', width: 8, drop: 3 },
+  { id: 'msgs', name: 'msgs', header: 'MSGS', width: 6, align: 'right', drop: 2 },
+  { id: 'idle', name: 'idle', header: 'IDLE', width: 7, align: 'right', sort: 'idle' },
+  { id: 'uptime', name: 'uptime', header: 'UPTIME', width: 7, align: 'right', drop: 1 },
+  { id: 'channel', name: 'channel', header: 'CHANNEL', width: 12, drop: 5 }
+];
+const MIN_NAME_WIDTH = 20;
+const MAX_NAME_WIDTH = 48;
+
+// Columns that fit in `width`, and the width left for NAME
+function layoutColumns(width) {
+  let columns = TABLE_COLUMNS.filter(c => !CONFIG.columns || CONFIG.columns.includes(c.name));
+  // 2 for the cursor marker, 1 space before each column
+  const nameWidth = cols => width - 2 - cols.reduce((sum, c) => sum + c.width + 1, 0);
+  const droppable = columns.filter(c => c.drop).sort((a, b) => a.drop - b.drop);
+  while (nameWidth(columns) < MIN_NAME_WIDTH && droppable.length > 0) {
+    const dropped = droppable.shift();
+    columns = columns.filter(c => c !== dropped);
+  }
+  return { columns, nameWidth: Math.max(8, Math.min(MAX_NAME_WIDTH, nameWidth(columns))) };
+}
+
+function alignCell(text, column) {
+  return column.align === 'right' ? text.slice(0, column.width).padStart(column.width) : text.slice(0, column.width).padEnd(column.width);
+}
+
+// `now` is the time the sessions are shown at: the refresh time, or the
+// snapshot time when replaying. `sysInfo` may be null for replayed snapshots
+// recorded without system info.
+function render(sysInfo, gateway, sessionCount, sessions, error, delay, now = Date.now()) {
   // If showing help, render that instead
   if (showingHelp) {
     const helpLines = [
@@ -347,111 +783,240 @@ function render(sysInfo, gwUptime, sessionCount, sessions, error, delay) {
       '  q         Quit',
       '  Space     Pause/Resume updates',
       '  r         Reverse sort order',
-      '  s         Cycle sort field (cpu → mem → idle → tokens → name)',
+      '  s         Cycle sort field (cpu → mem → ctx → idle → tokens → name)',
+      '  t         Toggle tree view (agent → channel → spawned sessions)',
+      '  g         Toggle throughput and context charts (all sessions)',
+      '  /         Search names, keys, channels and models as you type',
+      '  n / N     Jump to the next/previous search match',
+      '  f         Filter, e.g. channel=telegram kind=cron ctx>80% (empty clears)',
+      '  W         Save sort, delay, view, filter and columns (to --profile if given)',
       '  d         Change delay (prompts for seconds)',
-      '  n         Change iterations (prompts for number, 0 = infinite)',
+      '  i         Change iterations (prompts for number, 0 = infinite)',
+      '  ↑/↓, j/k  Move the cursor (PgUp/PgDn: one page)',
+      '  Enter     Show details for the selected session (Esc to return)',
+      '  x         Abort the selected session (asks first)',
+      '  c         Compact the selected session (asks first)',
+      '  ←/→       Replay: previous/next snapshot',
+      '  [ / ]     Replay: seek back/forward one minute',
+      '  + / -     Replay: double/halve the speed',
+      '  Home/End  Replay: first/last snapshot',
       '  h         Toggle this help',
       '',
       '  Press any key to return...',
       ''
     ];
-    clearScreen();
-    console.log(C.cyan + C.bright + '┌─ CLAWTOP HELP ────────────────────────────────────────────────────────────┐' + C.reset);
-    helpLines.forEach(line => console.log(line));
-    console.log(C.cyan + '└───────────────────────────────────────────────────────────────────────────────┘' + C.reset);
+    screen.draw([C.bright + boxLine('┌', '┐', 'CLAWTOP HELP'), ...helpLines, boxLine('└', '┘')]);
     return;
   }
-  
+
   // If awaiting input, show that
   if (awaitingInput === 'delay') {
-    clearScreen();
-    console.log(C.cyan + '┌─ CLAWTOP ─────────────────────────────────────────────────────────────────────┐' + C.reset);
-    console.log(C.yellow + '  Enter delay in seconds (current: ' + CONFIG.delay + 's): ' + C.reset + inputBuffer);
-    console.log(C.gray + '  Press Enter to confirm, Esc to cancel' + C.reset);
-    console.log(C.cyan + '└───────────────────────────────────────────────────────────────────────────────┘' + C.reset);
+    renderPrompt(`Enter delay in seconds (current: ${CONFIG.delay}s): `, 'Press Enter to confirm, Esc to cancel');
     return;
   }
-  
+
   if (awaitingInput === 'iterations') {
-    clearScreen();
-    console.log(C.cyan + '┌─ CLAWTOP ─────────────────────────────────────────────────────────────────────┐' + C.reset);
     const iterStr = CONFIG.iterations === Infinity ? 'infinite' : CONFIG.iterations;
-    console.log(C.yellow + '  Enter iterations (current: ' + iterStr + '): ' + C.reset + inputBuffer);
-    console.log(C.gray + '  Press Enter to confirm, Esc to cancel' + C.reset);
-    console.log(C.cyan + '└───────────────────────────────────────────────────────────────────────────────┘' + C.reset);
+    renderPrompt(`Enter iterations (current: ${iterStr}): `, 'Press Enter to confirm, Esc to cancel');
     return;
   }
-  
+
+  if (awaitingInput === 'confirm') {
+    const { action, session } = pendingAction;
+    renderPrompt(`${ACTIONS[action].verb} ${session.displayName || session.key}? [y/N] `,
+      `${session.key}: ${ACTIONS[action].description}` + (CONFIG.dryRun ? ' (dry run)' : ''));
+    return;
+  }
+
+  if (detailKey) {
+    renderDetail(sessions.find(s => s.key === detailKey), now);
+    return;
+  }
+
   // Normal render
-  clearScreen();
-  
+  const lines = [];
   const statusLine = paused ? C.yellow + ' [PAUSED] ' + C.reset : '';
-  console.log(C.cyan + C.bright + '┌─ CLAWTOP ─────────────────────────────────────────────────────────────────────┐' + C.reset);
-  console.log(C.gray + '  OpenClaw session monitor' + statusLine + ' '.repeat(width - 45) + C.gray + `Refresh: ${delay}s` + C.reset);
-  console.log(C.cyan + '├──────────────────────────────────────────────────────────────────────────────┤' + C.reset);
-  
-  if (CONFIG.showSystem) {
+  const rightLine = replay
+    ? `Replay ${new Date(now).toLocaleString()}  ${replay.index + 1}/${replay.frames.length}  ${replay.speed}x`
+    : `Refresh: ${delay}s`;
+  lines.push(C.bright + boxLine('┌', '┐', 'CLAWTOP'));
+  const profile = CONFIG.profile ? ` (${CONFIG.profile})` : '';
+  lines.push(C.gray + spreadLine('  OpenClaw session monitor' + profile + statusLine, C.gray + rightLine) + C.reset);
+  lines.push(boxLine('├', '┤'));
+
+  if (CONFIG.showSystem && sysInfo) {
     const cpuUsage = sysInfo.cpuUsage !== null ? sysInfo.cpuUsage : 0;
     const memPercent = sysInfo.totalMem > 0 ? Math.round((sysInfo.usedMem / sysInfo.totalMem) * 100) : 0;
-    const sysLine = `  ${C.cyan}OS:${C.reset} ${sysInfo.os}  ${C.cyan}CPU:${C.reset} ${cpuUsage}%  ${C.cyan}Mem:${C.reset} ${formatBytes(sysInfo.usedMem)}/${formatBytes(sysInfo.totalMem)} (${memPercent}%)  ${C.cyan}Uptime:${C.reset} ${formatDuration(sysInfo.uptime)}`;
-    console.log(sysLine.substring(0, width - 2));
-    
-    const gwLine = `  ${C.magenta}Gateway:${C.reset} ${gwUptime ? formatDuration(gwUptime) : C.red + 'offline' + C.reset}  ${C.magenta}Sessions:${C.reset} ${sessionCount}  ${C.magenta}Node:${C.reset} ${sysInfo.nodeVersion}`;
-    console.log(gwLine.substring(0, width - 2));
+    lines.push(`  ${C.cyan}OS:${C.reset} ${sysInfo.os}  ${C.cyan}CPU:${C.reset} ${cpuUsage}%  ${C.cyan}Mem:${C.reset} ${formatBytes(sysInfo.usedMem)}/${formatBytes(sysInfo.totalMem)} (${memPercent}%)  ${C.cyan}Uptime:${C.reset} ${formatDuration(sysInfo.uptime * 1000)}`);
+
+    const gwState = !gateway.online ? C.red + 'offline' + C.reset
+      : gateway.uptime ? 'up ' + formatDuration(gateway.uptime * 1000) : 'online';
+    lines.push(`  ${C.magenta}Gateway:${C.reset} ${gateway.address} ${gwState}  ${C.magenta}Sessions:${C.reset} ${sessionCount}  ${C.magenta}Node:${C.reset} ${sysInfo.nodeVersion}`);
+    lines.push(boxLine('├', '┤'));
   }
-  
-  console.log(C.cyan + '├──────────────────────────────────────────────────────────────────────────────┤' + C.reset);
-  
-  const sortIndicator = (field) => CONFIG.sortBy === field ? (CONFIG.reverse ? '▼' : '▲') : ' ';
-  console.log(C.white + C.bright + 
-    `  ${sortIndicator('name')} NAME                         ${sortIndicator('cpu')} CPU   ${sortIndicator('mem')} TOKENS    ${sortIndicator('idle')} IDLE    CHANNEL` + 
-    C.reset);
-  console.log(C.cyan + '├──────────────────────────────────────────────────────────────────────────────┤' + C.reset);
-  
+
+  // Error banner: stays up until a refresh succeeds, above the last good data
   if (error) {
-    console.log(C.red + '  Error: ' + error + C.reset);
-    console.log(C.gray + `  Gateway may be offline. Config: ${config.host}:${config.port}` + C.reset);
-  } else if (sessions.length === 0) {
-    console.log(C.gray + '  No active sessions' + C.reset);
-  } else {
-    sessions.forEach((s) => {
-      const name = (s.displayName || s.key || 'unknown').substring(0, 27).padEnd(27);
-      const cpu = s._cpu || 0;
-      const tokens = s.totalTokens || 0;
-      const idleMs = s.updatedAt ? Date.now() - s.updatedAt : 0;
-      let idleStr;
-      if (idleMs < 60000) idleStr = Math.round(idleMs / 1000) + 's';
-      else if (idleMs < 3600000) idleStr = Math.round(idleMs / 60000) + 'm';
-      else idleStr = Math.round(idleMs / 3600000) + 'h';
-      
-      const channel = (s.channel || '-').substring(0, 10);
-      
-      let nameColor = C.white;
-      let cpuColor = C.gray;
-      
-      if (idleMs < 5 * 60 * 1000) {
-        nameColor = C.green;
-        cpuColor = cpu > 50 ? C.red : (cpu > 20 ? C.yellow : C.green);
-      } else if (idleMs < 30 * 60 * 1000) {
-        nameColor = C.yellow;
-      } else {
-        nameColor = C.gray;
+    lines.push(C.red + C.bright + `  ✖ ${error}` + C.reset);
+    lines.push(C.gray + (lastGoodAt
+      ? `    Showing sessions from ${new Date(lastGoodAt).toLocaleTimeString()} (${formatDuration(Date.now() - lastGoodAt)} ago)`
+      : '    No sessions loaded yet') + C.reset);
+    lines.push(boxLine('├', '┤'));
+  }
+
+  // Alert banner: one line per alerting session
+  const alerting = sessions.filter(s => s.alerts && s.alerts.length > 0);
+  if (alerting.length > 0) {
+    lines.push(C.alert + C.bright + `  ⚠ ${alerting.length} session${alerting.length !== 1 ? 's' : ''} alerting` + C.reset);
+    alerting.slice(0, 3).forEach(s => {
+      lines.push(C.alert + `    ${getAgentName(s)}: ${s.alerts.map(a => a.message).join(', ')}` + C.reset);
+    });
+    if (alerting.length > 3) {
+      lines.push(C.alert + `    … ${alerting.length - 3} more` + C.reset);
+    }
+    lines.push(boxLine('├', '┤'));
+  }
+
+  if (showingGraph) {
+    lines.push(...graphLines());
+  }
+
+  const { columns, nameWidth } = layoutColumns(screen.columns);
+  const sortIndicator = (field) => CONFIG.sortBy === field || (field === 'mem' && CONFIG.sortBy === 'tokens')
+    ? (CONFIG.reverse ? '▼' : '▲') : '';
+  const headerCell = (label, sort, column) => {
+    const text = sortIndicator(sort) ? `${sortIndicator(sort)} ${label}` : label;
+    return column ? alignCell(text, column) : text.padEnd(nameWidth);
+  };
+  lines.push(C.white + C.bright + '  ' + headerCell('NAME', 'name') +
+    columns.map(c => ' ' + headerCell(c.header, c.sort, c)).join('') + C.reset);
+  lines.push(boxLine('├', '┤'));
+
+  // One session row; `prefix` is its tree branch in tree view, `note` goes
+  // after the last column
+  const sessionRow = (s, prefix = '', note = '') => {
+    const cpu = s.tokenRate || 0;
+    const tokens = s.totalTokens || 0;
+    const status = classifyStatus(s, now);
+    const start = getSessionStart(s);
+    const { percent, band } = getContextUsage(s);
+    const samples = history.get(s.key);
+    const contextSamples = samples.map(sample => sample.tokens);
+
+    let nameColor = C[status];
+    let cpuColor = C.gray;
+
+    if (status === 'active') {
+      cpuColor = cpu > 50 ? C.critical : (cpu > 20 ? C.warn : C.ok);
+    }
+    if (s.alerts && s.alerts.length > 0) {
+      nameColor = C.alert + C.bright;
+    }
+
+    const cells = {
+      agentId: { text: s.agentId || '-' },
+      cpu: { text: cpu > 0 ? cpu.toFixed(1) + '%' : '-', color: cpuColor },
+      rateTrend: { text: sparkline(samples.map(sample => sample.rate), 8), color: C.green },
+      tokens: { text: tokens > 0 ? formatTokens(tokens) : '-' },
+      ctx: { text: percent === null ? '-' : `${Math.round(percent)}%`, color: C[band] || C.gray },
+      // Growth over the samples shown, from their lowest to their highest
+      ctxTrend: {
+        text: sparkline(contextSamples, 8, { min: Math.min(...contextSamples.slice(-8)) }),
+        color: C[band] || C.gray
+      },
+      msgs: { text: s.transcript ? String(s.transcript.messages) : '-' },
+      idle: { text: formatDuration(s.updatedAt ? now - s.updatedAt : 0) },
+      uptime: { text: start === null ? '-' : formatDuration(now - start) },
+      channel: { text: s.channel ? formatChannel(s.channel) : '-' }
+    };
+    const name = (prefix + getAgentName(s)).substring(0, nameWidth).padEnd(nameWidth);
+    const match = matchesSearch(s, searchQuery) ? C.underline : '';
+
+    if (s.key === selectedKey) {
+      // Cursor row: plain text in reverse video so it stands out without colour too
+      return `> ${C.inverse}${match}${name}${C.reset}${C.inverse}${columns.map(c => ' ' + alignCell(cells[c.id].text, c)).join('')}${C.reset}${note}`;
+    }
+    return `  ${nameColor}${match}${name}${C.reset}` +
+      columns.map(c => ' ' + (cells[c.id].color || '') + alignCell(cells[c.id].text, c) + (cells[c.id].color ? C.reset : '')).join('') +
+      note;
+  };
+
+  // Agent and channel rows of the tree view, with the context used by their subtree
+  const groupRow = (node, prefix) => {
+    const label = (prefix + (node.type === 'channel' ? formatChannel(node.label) : node.label)).substring(0, nameWidth).padEnd(nameWidth);
+    const cells = columns.map(c => ' ' + (c.id === 'tokens' ? C.gray + alignCell(`Σ${formatTokens(node.tokens)}`, c) + C.reset : ' '.repeat(c.width)));
+    return `  ${node.type === 'agent' ? C.bright : C.cyan}${label}${C.reset}${cells.join('')}`;
+  };
+
+  // Every table row, with the session key of the session rows
+  const rows = [];
+  if (sessions.length === 0) {
+    const empty = error && !lastGoodAt ? '  -'
+      : (CONFIG.filter && sessionCount > 0 ? '  No sessions match the filter (f)' : '  No active sessions');
+    rows.push({ line: C.gray + empty + C.reset, key: null });
+  } else if (CONFIG.tree) {
+    flattenTree(buildSessionTree(sessions)).forEach(({ node, prefix }) => {
+      if (node.type !== 'session') {
+        rows.push({ line: groupRow(node, prefix), key: null });
+        return;
       }
-      
-      const cpuStr = cpu > 0 ? cpu.toFixed(1) + '%' : '-';
-      const tokensStr = tokens > 0 ? formatNumber(tokens) : '-';
-      
-      console.log(`  ${nameColor}${name}${C.reset} ${cpuColor}${cpuStr.padStart(6)}${C.reset} ${tokensStr.padStart(9)} ${idleStr.padStart(7)}  ${channel}`);
+      const note = node.children.length > 0
+        ? C.gray + `  Σ${formatTokens(node.tokens)} in ${node.count} sessions` + C.reset
+        : '';
+      rows.push({ line: sessionRow(node.session, prefix, note), key: node.session.key });
     });
+  } else {
+    sessions.forEach(s => rows.push({ line: sessionRow(s), key: s.key }));
   }
-  
-  console.log(C.cyan + '├──────────────────────────────────────────────────────────────────────────────┤' + C.reset);
-  console.log(C.gray + `  Sort: ${CONFIG.sortBy} (s)  Reverse: ${CONFIG.reverse ? 'ON' : 'OFF'} (r)  Delay: ${CONFIG.delay}s (d)  Quit: q  Help: h` + C.reset);
-  console.log(C.cyan + '└───────────────────────────────────────────────────────────────────────────────┘' + C.reset);
+
+  const timing = replay ? 'Seek: ←/→ [ ]  Speed: +/-' : `Delay: ${CONFIG.delay}s (d)`;
+  const footer = [
+    C.gray + `  Sort: ${CONFIG.sortBy} (s)  Reverse: ${CONFIG.reverse ? 'ON' : 'OFF'} (r)  Tree: ${CONFIG.tree ? 'ON' : 'OFF'} (t)  ${timing}  Source: ${currentSource || CONFIG.source}  Quit: q  Help: h` + C.reset,
+    ...searchLines(sessions, sessionCount),
+    ...statusMessageLines(),
+    ...warnings.map(warning => C.yellow + `  ⚠ ${warning.message}` + C.reset),
+    ...debugLines.map(line => C.gray + `  [debug] ${line}` + C.reset),
+    boxLine('└', '┘')
+  ];
+
+  // Scroll the table to keep the cursor in view when it has more rows than
+  // maxSessions or the terminal has room for (the rule below it needs one)
+  const height = Math.max(1, Math.min(CONFIG.maxSessions, screen.rows - lines.length - footer.length - 1));
+  const cursor = rows.findIndex(row => row.key && row.key === selectedKey);
+  if (cursor !== -1 && cursor < scrollTop) scrollTop = cursor;
+  if (cursor >= scrollTop + height) scrollTop = cursor - height + 1;
+  scrollTop = Math.max(0, Math.min(scrollTop, rows.length - height));
+  pageSize = height;
+
+  lines.push(...rows.slice(scrollTop, scrollTop + height).map(row => row.line));
+  lines.push(rows.length > height
+    ? boxLine('├', '┤', `${scrollTop + 1}-${Math.min(rows.length, scrollTop + height)} of ${rows.length}`)
+    : boxLine('├', '┤'));
+  lines.push(...footer);
+  screen.draw(lines);
 }
 
 async function main() {
   const args = process.argv.slice(2);
+  const gatewayArgs = {};
+  let iterationsSet = false;
+  const alertSpecs = [];
+  const filterTerms = [];
+  
+  // Saved settings first, so that options override them
+  const profileIndex = args.findIndex(arg => arg === '--profile' || arg.startsWith('--profile='));
+  if (profileIndex !== -1) {
+    const arg = args[profileIndex];
+    CONFIG.profile = arg === '--profile' ? args[profileIndex + 1] : arg.slice('--profile='.length);
+    if (!CONFIG.profile) {
+      console.error('clawtop: --profile needs a name');
+      process.exit(1);
+    }
+  }
+  if (!args.includes('-h') && !args.includes('--help')) {
+    applyPrefs(loadPrefs(CONFIG.profile));
+  }
+  
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === '-h' || arg === '--help') {
@@ -463,47 +1028,386 @@ Usage: node clawtop.js [options]
 Options:
   -n, --iterations N   Number of iterations (default: infinite)
   -d, --delay N        Delay in seconds between updates (default: 2)
-  -s, --sort FIELD     Sort by: cpu, mem, idle, tokens, name (default: cpu)
+  -s, --sort FIELD     Sort by: cpu, mem, ctx, idle, tokens, name (default: cpu)
+  -o, --columns LIST   Columns after NAME, comma-separated (default: all of
+                       ${TABLE_COLUMNS.map(c => c.name).join(', ')})
+  --profile NAME       Start from the settings saved (with W) as NAME
+                       instead of the defaults
   -a, --all            Include stale sessions (older than 30 min)
-  --no-color           Disable colored output
+  --agent ID           Only show sessions for this agent (repeatable)
+  --source SRC         Session source: gateway, file or auto (default: auto)
+  --host HOST          Gateway host (default: localhost)
+  --port PORT          Gateway port (default: 18789)
+  --token TOKEN        Gateway auth token
+  --tls                Connect to the gateway over HTTPS
+  --insecure           Skip TLS certificate verification
+  --json               Print sessions as JSON (same as --format json)
+  --format FMT         Print json, ndjson, csv, tsv or prom instead of the
+                       interactive view; one refresh unless -n is given
+  --exporter ADDR      Serve /metrics and /sessions.json over HTTP on
+                       [host]:port instead of the interactive view
+  --dry-run            Show what x/c would send instead of sending it
+  --forest             Start in tree view (t)
+  --filter EXPR        Only show sessions matching EXPR (f), e.g.
+                       'channel=telegram kind=cron ctx>80%'; see README
+  --debug              Show the config files, session stores and gateway
+                       endpoints tried (under the footer, or on stderr with
+                       --format and --exporter)
+  --alert RULES        Alert rules, comma-separated, replacing the defaults
+                       (${DEFAULT_ALERT_RULES.join(',')}). Rules: ctx>=<pct>,
+                       rate><n>, tokens><n>, aborted, overdue
+  --no-alerts          Don't evaluate alert rules
+  --on-alert CMD       Run CMD when an alert is raised or cleared, with the
+                       event and session as JSON on stdin
+  --record FILE        Append every refresh to FILE as NDJSON (also with --format)
+  --replay FILE        Play back a --record (or --format ndjson) file
+  --speed N            Replay speed, e.g. 10x (default: 1x)
+  --color[=WHEN]       Color output: auto (on a terminal, unless NO_COLOR is
+                       set), always or never (default: auto)
+  --no-color           Same as --color=never
+  --theme NAME         Color theme: ${THEME_NAMES.join(', ')}
+                       (default: the theme in config.json, else default)
   --no-system          Hide system info
   -h, --help           Show this help
 
 Keyboard shortcuts (when running):
+  ↑/↓ j/k  Move the cursor (PgUp/PgDn: one page)
+  Enter    Session details (Esc to return)
+  x        Abort the selected session (asks first)
+  c        Compact the selected session (asks first)
+  ←/→ [ ]  Replay: step one snapshot / seek one minute
+  + / -    Replay: change speed; Home/End: first/last snapshot
   Space    Pause/Resume updates
   q        Quit
   r        Reverse sort order
   s        Cycle sort field
+  t        Toggle tree view
+  g        Toggle throughput and context charts
+  /        Search as you type; n/N: next/previous match
+  f        Filter expression (prompts; empty clears)
+  W        Save the current settings to ${getPrefsFile()}
   d        Change delay (prompts)
-  n        Change iterations (prompts)
+  i        Change iterations (prompts)
   h        Toggle help
 
+Environment:
+  OPENCLAW_GATEWAY_URL     Gateway URL, e.g. https://gw.example.com:18789
+  OPENCLAW_GATEWAY_TOKEN   Gateway auth token
+
 Examples:
   node clawtop.js
   node clawtop.js -n 5
   node clawtop.js -d 5 -s idle
+  node clawtop.js --format ndjson -n 0 -d 10   # Stream one line per refresh
+  node clawtop.js --exporter :9464 -a          # Prometheus exporter
+  node clawtop.js --alert ctx>=80,rate>20 --on-alert ./page.sh
+  node clawtop.js --filter 'kind=cron idle<1h'
+  node clawtop.js --profile cost -o tokens,ctx,growth
+  node clawtop.js --record night.ndjson        # Keep every refresh
+  node clawtop.js --replay night.ndjson --speed 60x
 `);
       process.exit(0);
     } else if (arg === '-n' || arg === '--iterations') {
       CONFIG.iterations = parseInt(args[++i]) || Infinity;
+      iterationsSet = true;
     } else if (arg === '-d' || arg === '--delay') {
       CONFIG.delay = parseInt(args[++i]) || 2;
     } else if (arg === '-s' || arg === '--sort') {
       CONFIG.sortBy = args[++i] || 'cpu';
-    } else if (arg === '--no-color') {
-      Object.keys(C).forEach(k => C[k] = '');
+    } else if (arg === '-o' || arg === '--columns' || arg.startsWith('--columns=')) {
+      const list = arg.startsWith('--columns=') ? arg.slice('--columns='.length) : args[++i];
+      try {
+        CONFIG.columns = parseColumns((list || '').split(',').filter(Boolean));
+      } catch (err) {
+        console.error(`clawtop: ${err.message}`);
+        process.exit(1);
+      }
+    } else if (arg === '--profile' || arg.startsWith('--profile=')) {
+      // Already read, before the other options
+      if (arg === '--profile') i++;
+    } else if (arg === '--no-color' || arg === '--color' || arg.startsWith('--color=')) {
+      // Read by getColorModeArg below; a bare --color may be followed by its mode
+      if (arg === '--color' && COLOR_MODES.includes(args[i + 1])) i++;
+    } else if (arg === '--theme' || arg.startsWith('--theme=')) {
+      CONFIG.theme = arg === '--theme' ? args[++i] : arg.slice('--theme='.length);
+    } else if (arg === '--alert' || arg.startsWith('--alert=')) {
+      const rules = arg === '--alert' ? args[++i] : arg.slice('--alert='.length);
+      try {
+        // The first --alert replaces the defaults, later ones add to it
+        alertSpecs.push(...(rules || '').split(','));
+        CONFIG.alertRules = parseAlertRules(alertSpecs);
+      } catch (err) {
+        console.error(`clawtop: ${err.message}`);
+        process.exit(1);
+      }
+    } else if (arg === '--no-alerts') {
+      CONFIG.alertRules = [];
+      alertSpecs.length = 0;
+    } else if (arg === '--on-alert') {
+      CONFIG.onAlert = args[++i];
+    } else if (arg === '--record') {
+      CONFIG.record = args[++i];
+    } else if (arg === '--replay') {
+      CONFIG.replay = args[++i];
+    } else if (arg === '--speed' || arg.startsWith('--speed=')) {
+      const value = arg === '--speed' ? args[++i] : arg.slice('--speed='.length);
+      CONFIG.speed = parseSpeed(value);
+      if (!CONFIG.speed) {
+        console.error(`clawtop: invalid --speed '${value}' (expected e.g. 10x)`);
+        process.exit(1);
+      }
+    } else if (arg === '--dry-run') {
+      CONFIG.dryRun = true;
+    } else if (arg === '--forest') {
+      CONFIG.tree = true;
+    } else if (arg === '--filter' || arg.startsWith('--filter=')) {
+      // Repeated --filter options all have to match
+      filterTerms.push(arg === '--filter' ? args[++i] || '' : arg.slice('--filter='.length));
+      try {
+        CONFIG.filter = parseFilter(filterTerms.join(' '));
+      } catch (err) {
+        console.error(`clawtop: ${err.message}`);
+        process.exit(1);
+      }
+    } else if (arg === '--debug') {
+      CONFIG.debug = true;
     } else if (arg === '--no-system') {
       CONFIG.showSystem = false;
     } else if (arg === '-a' || arg === '--all') {
       CONFIG.showAll = true;
+    } else if (arg === '--agent') {
+      CONFIG.agents.push(args[++i]);
+    } else if (arg.startsWith('--agent=')) {
+      CONFIG.agents.push(arg.slice('--agent='.length));
+    } else if (arg === '--host') {
+      gatewayArgs.host = args[++i];
+    } else if (arg === '--port') {
+      const port = args[++i];
+      if (!isValidPort(port)) {
+        console.error(`clawtop: invalid --port '${port}'`);
+        process.exit(1);
+      }
+      gatewayArgs.port = Number(port);
+    } else if (arg === '--token') {
+      gatewayArgs.token = args[++i];
+    } else if (arg === '--tls') {
+      gatewayArgs.tls = true;
+    } else if (arg === '--insecure') {
+      gatewayArgs.insecure = true;
+    } else if (arg === '--source' || arg.startsWith('--source=')) {
+      const source = arg === '--source' ? args[++i] : arg.slice('--source='.length);
+      if (!SOURCES.includes(source)) {
+        console.error(`clawtop: invalid --source '${source}' (expected gateway, file or auto)`);
+        process.exit(1);
+      }
+      CONFIG.source = source;
+    } else if (arg === '--exporter' || arg.startsWith('--exporter=')) {
+      const address = arg === '--exporter' ? args[++i] : arg.slice('--exporter='.length);
+      CONFIG.exporter = parseListenAddress(address);
+      if (!CONFIG.exporter) {
+        console.error(`clawtop: invalid --exporter address '${address}' (expected [host]:port)`);
+        process.exit(1);
+      }
+    } else if (arg === '--json') {
+      CONFIG.format = 'json';
+    } else if (arg === '--format' || arg.startsWith('--format=')) {
+      const format = arg === '--format' ? args[++i] : arg.slice('--format='.length);
+      if (!FORMATS.includes(format)) {
+        console.error(`clawtop: invalid --format '${format}' (expected ${FORMATS.join(', ')})`);
+        process.exit(1);
+      }
+      CONFIG.format = format;
     }
   }
   
-  const config = getGatewayConfig();
+  CONFIG.colorMode = getColorModeArg(args) || CONFIG.colorMode;
+  if (!COLOR_MODES.includes(CONFIG.colorMode)) {
+    console.error(`clawtop: invalid --color '${CONFIG.colorMode}' (expected ${COLOR_MODES.join(', ')})`);
+    process.exit(1);
+  }
+  try {
+    Object.assign(C, createTheme(CONFIG.theme || getDisplaySettings().theme, getColorDepth({ mode: CONFIG.colorMode })));
+  } catch (err) {
+    console.error(`clawtop: ${err.message}`);
+    process.exit(1);
+  }
+  
+  if (CONFIG.debug) {
+    setDebugLogger(message => {
+      if (CONFIG.format || CONFIG.exporter) {
+        console.error('[debug] ' + message);
+        return;
+      }
+      debugLines.push(message);
+      if (debugLines.length > MAX_DEBUG_LINES) debugLines.shift();
+    });
+  }
+  const config = loadConfig(gatewayArgs);
+  
+  if (CONFIG.record) {
+    try {
+      fs.appendFileSync(CONFIG.record, '');
+    } catch (err) {
+      console.error(`clawtop: cannot write --record file: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  
+  if (CONFIG.replay) {
+    try {
+      const frames = loadRecording(CONFIG.replay);
+      replay = { frames, index: -1, clock: frames[0].time, speed: CONFIG.speed, ended: false };
+    } catch (err) {
+      console.error(`clawtop: ${err.code === 'ENOENT' ? `no such file '${CONFIG.replay}'` : err.message}`);
+      process.exit(1);
+    }
+  }
+  
+  if (CONFIG.exporter) {
+    await runExporter(config, CONFIG.exporter);
+    return;
+  }
+  
+  if (CONFIG.format) {
+    // One snapshot unless -n asks for more (-n 0 streams forever)
+    if (!iterationsSet) CONFIG.iterations = 1;
+    await runHeadless(config);
+    return;
+  }
+
+  // Draw on the alternate screen, and put the terminal back however we exit
+  screen.enter();
+  process.on('exit', () => screen.leave());
+  process.on('SIGINT', () => process.exit(130));
+  process.on('SIGTERM', () => process.exit(143));
+  
   let iterations = 0;
-  let prevSessions = [];
-  let lastTime = Date.now();
-  let lastRenderTime = Date.now();
+  let allSessions = []; // the last good sessions, before the filter
+  let prevSessions = []; // as shown: filtered and in display order
+  let lastGateway = { address: `${config.host}:${config.port}`, online: false, uptime: null };
+  const refresher = createRefresher(config);
+  let lastSysInfo = null;
+  let lastError = null;
+  let lastNow = null; // time of the last refresh or replayed snapshot
+  
+  // Redraw from the last refresh, e.g. after a key press
+  const redraw = () => {
+    if (lastNow === null) return;
+    const now = replay ? lastNow : Date.now();
+    prevSessions = orderSessions(allSessions, now);
+    ensureSelection(prevSessions);
+    render(lastSysInfo, lastGateway, allSessions.length, prevSessions, lastError, CONFIG.delay, now);
+  };
+  
+  // Terminal resized (SIGWINCH): repaint everything for the new size
+  process.stdout.on('resize', () => {
+    screen.invalidate();
+    redraw();
+  });
+  
+  // Replay: show snapshot `index`. History is rebuilt from the start
+  // when seeking so the detail pane matches the recording up to that point.
+  const showFrame = (index) => {
+    if (index === replay.index) return;
+    if (index === replay.index + 1) {
+      history.record(replay.frames[index].sessions, replay.frames[index].time);
+    } else {
+      history.clear();
+      replay.frames.slice(0, index + 1).forEach(f => history.record(f.sessions, f.time));
+    }
+    const frame = replay.frames[index];
+    replay.index = index;
+    currentSource = frame.source || null;
+    lastSysInfo = frame.system || null;
+    lastGateway = frame.gateway || { address: '-', online: false, uptime: null };
+    lastError = null;
+    lastNow = frame.time;
+    allSessions = frame.sessions;
+  };
+  
+  // Replay: index of the last snapshot at or before `time`
+  const frameAt = (time) => {
+    const next = replay.frames.findIndex(f => f.time > time);
+    return next === -1 ? replay.frames.length - 1 : Math.max(0, next - 1);
+  };
+  
+  // Replay: move the clock to `time` (within the recording) and show that
+  // snapshot. Seeking back from the end resumes the playback it stopped.
+  const seekTo = (time) => {
+    const { frames } = replay;
+    replay.clock = Math.max(frames[0].time, Math.min(frames[frames.length - 1].time, time));
+    statusMessage = null;
+    showFrame(frameAt(replay.clock));
+    if (replay.ended && replay.index < frames.length - 1) {
+      replay.ended = false;
+      paused = false;
+    }
+  };
+  
+  // Move the cursor by `step` rows (the detail pane follows it)
+  const moveSelection = (step) => {
+    const idx = prevSessions.findIndex(s => s.key === selectedKey);
+    const next = prevSessions[Math.min(prevSessions.length - 1, Math.max(0, idx + step))];
+    if (next) {
+      selectedKey = next.key;
+      if (detailKey) detailKey = next.key;
+    }
+  };
+  
+  // Move the cursor to a search match: the first at or after the cursor
+  // (step 0), or the next (1) or previous (-1) one, wrapping around
+  const jumpToMatch = (step) => {
+    const count = prevSessions.length;
+    const start = Math.max(0, prevSessions.findIndex(s => s.key === selectedKey));
+    for (let i = 0; i < count; i++) {
+      const offset = step === 0 ? i : (i + 1) * step;
+      const s = prevSessions[(((start + offset) % count) + count) % count];
+      if (matchesSearch(s, searchQuery)) {
+        selectedKey = s.key;
+        if (detailKey) detailKey = s.key;
+        return true;
+      }
+    }
+    return false;
+  };
+  
+  // Apply the expression typed at the f prompt; a bad one keeps the old filter
+  const applyFilter = (text) => {
+    try {
+      CONFIG.filter = text.trim() ? parseFilter(text) : null;
+    } catch (err) {
+      statusMessage = { text: err.message, color: C.red, until: Date.now() + 5000 };
+    }
+  };
+  
+  // Send the confirmed action and report the outcome under the footer
+  const runPendingAction = async () => {
+    const { action, session } = pendingAction;
+    pendingAction = null;
+    const name = session.displayName || session.key;
+    try {
+      const outcome = await runSessionAction(action, session, { config, dryRun: CONFIG.dryRun });
+      statusMessage = outcome.dryRun
+        ? { text: `[dry-run] ${outcome.tool} ${JSON.stringify(outcome.args)}`, color: C.gray }
+        : { text: `Sent ${outcome.tool} to ${name}`, color: C.green };
+    } catch (err) {
+      statusMessage = { text: `${ACTIONS[action].verb} ${name} failed: ${err.message}`, color: C.red };
+    }
+    statusMessage.until = Date.now() + 5000;
+    redraw();
+  };
+  
+  // Ask before acting on the session under the cursor
+  const confirmAction = (action) => {
+    const session = prevSessions.find(s => s.key === (detailKey || selectedKey));
+    if (!session) return;
+    pendingAction = { action, session };
+    awaitingInput = 'confirm';
+    inputBuffer = '';
+  };
+  
+  // Search and filter state when their prompt was opened, for Esc
+  let searchStart = null;
   
   // Setup input handling
   if (process.stdin.isTTY) {
@@ -514,18 +1418,56 @@ Examples:
       // Handle help toggle
       if (key.name === 'h' && !awaitingInput) {
         showingHelp = !showingHelp;
-        lastRenderTime = Date.now(); // Force render
+        redraw();
         return;
       }
       
       // If showing help, any key closes it
       if (showingHelp) {
         showingHelp = false;
-        lastRenderTime = Date.now();
+        redraw();
         return;
       }
       
       // Handle input modes
+      if (awaitingInput === 'confirm') {
+        awaitingInput = null;
+        if (key.name === 'y') {
+          runPendingAction();
+        } else {
+          pendingAction = null;
+        }
+        redraw();
+        return;
+      }
+      
+      // Search and filter prompts sit in the footer under the live table.
+      // The search moves the cursor as it is typed.
+      if (awaitingInput === 'search' || awaitingInput === 'filter') {
+        if (key.name === 'escape') {
+          if (awaitingInput === 'search') {
+            searchQuery = searchStart.query;
+            selectedKey = searchStart.key;
+          }
+          awaitingInput = null;
+        } else if (key.name === 'return' || key.name === 'enter') {
+          if (awaitingInput === 'filter') applyFilter(inputBuffer);
+          awaitingInput = null;
+        } else {
+          if (key.name === 'backspace') {
+            inputBuffer = inputBuffer.slice(0, -1);
+          } else if (str && str.length === 1 && str >= ' ') {
+            inputBuffer += str;
+          }
+          if (awaitingInput === 'search') {
+            searchQuery = inputBuffer;
+            jumpToMatch(0);
+          }
+        }
+        redraw();
+        return;
+      }
+      
       if (awaitingInput) {
         if (key.name === 'escape') {
           awaitingInput = null;
@@ -549,89 +1491,160 @@ Examples:
         } else if (str && str.length === 1 && /[\d]/.test(str)) {
           inputBuffer += str;
         }
-        lastRenderTime = Date.now();
+        redraw();
         return;
       }
       
       // Regular keyboard shortcuts
       if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
-        console.log('\n' + C.gray + 'Goodbye!' + C.reset);
+        screen.leave();
+        console.log(C.gray + 'Goodbye!' + C.reset);
         process.exit(0);
       } else if (key.name === 'space') {
         paused = !paused;
       } else if (key.name === 'r') {
         CONFIG.reverse = !CONFIG.reverse;
       } else if (key.name === 's') {
-        const fields = ['cpu', 'mem', 'idle', 'tokens', 'name'];
-        const idx = fields.indexOf(CONFIG.sortBy);
-        CONFIG.sortBy = fields[(idx + 1) % fields.length];
+        const idx = SORT_FIELDS.indexOf(CONFIG.sortBy);
+        CONFIG.sortBy = SORT_FIELDS[(idx + 1) % SORT_FIELDS.length];
+      } else if (key.name === 't') {
+        CONFIG.tree = !CONFIG.tree;
+      } else if (key.name === 'g') {
+        showingGraph = !showingGraph;
       } else if (key.name === 'd') {
         awaitingInput = 'delay';
         inputBuffer = '';
-      } else if (key.name === 'n') {
+      } else if (key.name === 'i') {
         awaitingInput = 'iterations';
         inputBuffer = '';
+      } else if (str === '/') {
+        searchStart = { query: searchQuery, key: selectedKey };
+        awaitingInput = 'search';
+        inputBuffer = '';
+        detailKey = null;
+      } else if (key.name === 'n') {
+        if (!searchQuery) {
+          statusMessage = { text: 'No search (/ to search)', color: C.yellow, until: Date.now() + 3000 };
+        } else if (!jumpToMatch(key.shift ? -1 : 1)) {
+          statusMessage = { text: `No sessions match '${searchQuery}'`, color: C.yellow, until: Date.now() + 3000 };
+        }
+      } else if (str === 'W') {
+        try {
+          const file = savePrefs(currentPrefs(), CONFIG.profile);
+          statusMessage = { text: `Saved ${CONFIG.profile ? `profile '${CONFIG.profile}'` : 'settings'} to ${file}`, color: C.green };
+        } catch (err) {
+          statusMessage = { text: `Saving settings failed: ${err.message}`, color: C.red };
+        }
+        statusMessage.until = Date.now() + 5000;
+      } else if (key.name === 'f') {
+        awaitingInput = 'filter';
+        inputBuffer = CONFIG.filter ? CONFIG.filter.text : '';
+        detailKey = null;
+      } else if (key.name === 'up' || key.name === 'k') {
+        moveSelection(-1);
+      } else if (key.name === 'down' || key.name === 'j') {
+        moveSelection(1);
+      } else if (key.name === 'pageup' || key.name === 'pagedown') {
+        moveSelection(key.name === 'pageup' ? -pageSize : pageSize);
+      } else if ((key.name === 'x' || key.name === 'c') && replay) {
+        statusMessage = { text: 'Session actions are not available in replay', color: C.yellow, until: Date.now() + 3000 };
+      } else if (key.name === 'x') {
+        confirmAction('abort');
+      } else if (key.name === 'c') {
+        confirmAction('compact');
+      } else if (replay && (key.name === 'left' || key.name === 'right')) {
+        const index = Math.max(0, Math.min(replay.frames.length - 1, replay.index + (key.name === 'left' ? -1 : 1)));
+        seekTo(replay.frames[index].time);
+      } else if (replay && (str === '[' || str === ']')) {
+        seekTo(replay.clock + (str === '[' ? -60000 : 60000));
+      } else if (replay && (key.name === 'home' || key.name === 'end')) {
+        seekTo(key.name === 'home' ? -Infinity : Infinity);
+      } else if (replay && (str === '+' || str === '-')) {
+        replay.speed = str === '+' ? replay.speed * 2 : replay.speed / 2;
+      } else if (key.name === 'return' || key.name === 'enter') {
+        detailKey = selectedKey;
+      } else if (key.name === 'escape') {
+        detailKey = null;
       }
       
-      lastRenderTime = Date.now();
+      redraw();
     });
   }
   
-  // Main loop
+  if (replay) {
+    // Replay loop: advance a clock at the chosen speed and show the latest
+    // snapshot recorded before it
+    const tick = 100;
+    seekTo(replay.frames[0].time);
+    redraw();
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, tick));
+      if (paused || showingHelp || awaitingInput) continue;
+      const last = replay.frames.length - 1;
+      if (replay.index === last) {
+        paused = true;
+        replay.ended = true;
+        statusMessage = { text: 'End of recording (Home to restart)', color: C.gray, until: Infinity };
+        redraw();
+        continue;
+      }
+      replay.clock += tick * replay.speed;
+      const index = frameAt(replay.clock);
+      if (index !== replay.index) {
+        showFrame(index);
+        redraw();
+      }
+    }
+  }
+  
+  // Main loop: refresh every delay, or sooner when session files change
+  const feed = watchSessionFiles();
   while (iterations < CONFIG.iterations) {
     // Skip iteration if paused, but still render to show paused state
     if (!paused && !showingHelp && !awaitingInput) {
-      const now = Date.now();
-      const elapsed = now - lastTime;
-      lastTime = now;
-      
       const sysInfo = getSystemInfo();
       sysInfo.cpuUsage = getCpuUsage();
-      const gwUptime = getGatewayUptime();
+      const gateway = await getGatewayStatus(config);
+      lastGateway = gateway;
       
-      let sessions = [];
-      let error = null;
-      try {
-        sessions = getSessionsFromFile();
-        
-        // Filter out stale sessions unless --all is specified
-        const now = Date.now();
-        const staleThreshold = 30 * 60 * 1000; // 30 minutes
-        if (!CONFIG.showAll) {
-          sessions = sessions.filter(s => now - (s.updatedAt || 0) < staleThreshold);
+      const { sessions, error, now, source } = await collectSessions(refresher);
+      // On error, keep showing the last good sessions under the error banner
+      if (!error) {
+        if (CONFIG.record) {
+          recordSnapshot(CONFIG.record, { now, source, gateway, system: sysInfo, sessions });
         }
-      } catch (err) {
-        error = err.message;
+        history.record(sessions, now);
+        allSessions = sessions;
+        lastGoodAt = now;
       }
+      prevSessions = orderSessions(allSessions, now);
+      ensureSelection(prevSessions);
+      lastSysInfo = sysInfo;
+      lastError = error;
+      lastNow = now;
       
-      sessions = sessions.map(s => {
-        const prev = prevSessions.find(ps => ps.key === s.key);
-        s._cpu = calculateCpuUsage(s, prev, elapsed);
-        return s;
-      });
-      
-      sessions = sortSessions(sessions, CONFIG.sortBy, CONFIG.reverse).slice(0, CONFIG.maxSessions);
-      prevSessions = sessions;
-      
-      render(sysInfo, gwUptime, sessions.length, sessions, error, CONFIG.delay);
+      render(sysInfo, gateway, allSessions.length, prevSessions, error, CONFIG.delay, now);
       iterations++;
     } else if (paused || showingHelp || awaitingInput) {
       // Still render to show state
       const sysInfo = getSystemInfo();
       sysInfo.cpuUsage = getCpuUsage();
-      const gwUptime = getGatewayUptime();
-      render(sysInfo, gwUptime, prevSessions.length, prevSessions, null, CONFIG.delay);
+      lastSysInfo = sysInfo;
+      render(sysInfo, lastGateway, allSessions.length, prevSessions, lastError, CONFIG.delay);
     }
     
     // Calculate sleep time - use shorter interval when paused/input
     const sleepTime = (paused || showingHelp || awaitingInput) ? 500 : CONFIG.delay * 1000;
-    await new Promise(resolve => setTimeout(resolve, sleepTime));
+    await sleep(sleepTime);
   }
+  feed.close();
   
-  console.log(C.gray + '\nCompleted ' + CONFIG.iterations + ' iterations.' + C.reset);
+  screen.leave();
+  console.log(C.gray + 'Completed ' + CONFIG.iterations + ' iterations.' + C.reset);
 }
 
 main().catch(err => {
+  screen.leave();
   console.error(C.red + 'Fatal error: ' + err.message + C.reset);
   process.exit(1);
 });
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * clawwatch - Headless OpenClaw session monitor emitting structured events
+ * Usage: clawwatch [options]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const {
+  SOURCES,
+  loadConfig,
+  formatDuration,
+  isValidPort,
+} = require('./lib/core');
+const {
+  EVENT_TYPES,
+  DEFAULT_THRESHOLDS,
+  createSessionRefresher,
+  diffSessions,
+} = require('./lib/monitor');
+const { getArgValues, getArgList } = require('./lib/args');
+
+// Retry delays for a failing sink: 1s, 2s, 4s, ... up to 5 minutes
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+// Events kept per sink while it is failing; the oldest are dropped first
+const MAX_QUEUE = 1000;
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+
+// Sizes like 10485760, 512K or 10M
+function parseSize(value) {
+  const match = /^(\d+)([KMG]?)$/i.exec(value || '');
+  if (!match) return NaN;
+  return parseInt(match[1], 10) * { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 }[match[2].toUpperCase()];
+}
+
+const options = {
+  help: args.includes('-h') || args.includes('--help'),
+  once: args.includes('--once'),
+  quiet: args.includes('-q') || args.includes('--quiet'),
+  delay: parseFloat(getArgValues(args, '-d').concat(getArgValues(args, '--delay')).pop() || '10'),
+  debounce: parseFloat(getArgValues(args, '--debounce').pop() || '60'),
+  events: getArgList(args, '--events'),
+  thresholds: getArgList(args, '--threshold').map(Number),
+  webhook: getArgValues(args, '--webhook').pop(),
+  headers: getArgValues(args, '--header'),
+  log: getArgValues(args, '--log').pop(),
+  logSize: parseSize(getArgValues(args, '--log-size').pop() || '10M'),
+  logKeep: parseInt(getArgValues(args, '--log-keep').pop() || '5', 10),
+  state: getArgValues(args, '--state').pop(),
+  agents: getArgValues(args, '--agent'),
+  source: getArgValues(args, '--source').pop() || 'auto',
+  gateway: {
+    host: getArgValues(args, '--host').pop(),
+    port: getArgValues(args, '--port').pop(),
+    token: getArgValues(args, '--token').pop(),
+    tls: args.includes('--tls') || undefined,
+    insecure: args.includes('--insecure') || undefined,
+  },
+};
+
+const DEFAULT_STATE_FILE = path.join(os.homedir(), '.cache', 'clawwatch', 'state.json');
+if (options.once && !options.state) options.state = DEFAULT_STATE_FILE;
+if (options.thresholds.length === 0) options.thresholds = DEFAULT_THRESHOLDS;
+if (options.events.length === 0) options.events = EVENT_TYPES;
+
+function printHelp() {
+  console.log(`
+Usage: clawwatch [options]
+
+Watch sessions without a screen and emit an event for every change:
+${EVENT_TYPES.join(', ')}.
+Events are written to stdout as NDJSON and optionally appended to a log file
+and POSTed to a webhook. The first refresh records a baseline without events.
+
+Options:
+  -h, --help          Show this help message
+  -d, --delay <secs>  Seconds between refreshes (default: 10)
+  --once              Refresh once, compare with the saved state and exit
+                      (for cron); exits 1 if an event could not be delivered
+  --state <file>      Where to keep state between runs
+                      (default with --once: ${DEFAULT_STATE_FILE.replace(os.homedir(), '~')})
+  --events <list>     Only emit these event types, comma-separated
+  --threshold <list>  Context thresholds in percent (default: ${DEFAULT_THRESHOLDS.join(',')})
+  --debounce <secs>   Drop repeats of the same event for a session within this
+                      window (default: 60, 0 to disable)
+  -q, --quiet         Don't write events to stdout
+
+Sinks:
+  --log <file>        Append events to <file>, rotating it at --log-size
+  --log-size <size>   Rotate the log at this size, e.g. 512K or 10M (default: 10M)
+  --log-keep <n>      Rotated logs to keep: <file>.1 ... <file>.<n> (default: 5)
+  --webhook <url>     POST {"events": [...]} to <url> after each refresh
+  --header <h>        Extra webhook header, e.g. 'Authorization: Bearer x'
+                      (repeatable)
+
+A failing sink keeps its events queued (up to ${MAX_QUEUE}) and is retried with
+exponential backoff; with --once they are kept in the state file for the next run.
+
+Session selection:
+  --agent <id>        Only watch this agent's sessions (repeatable)
+  --source <src>      Session source: gateway, file or auto (default: auto)
+  --host, --port, --token, --tls, --insecure   Gateway connection (see clawps -h)
+
+Examples:
+  clawwatch                                        # NDJSON events on stdout
+  clawwatch -q --log /var/log/clawwatch.log        # Log file only
+  clawwatch --webhook http://localhost:9000/hook --events aborted,context-threshold-crossed
+  */5 * * * * clawwatch --once -q --webhook https://hooks.example.com/openclaw
+`);
+}
+
+if (options.help) {
+  printHelp();
+  process.exit(0);
+}
+
+function fail(message) {
+  console.error(`clawwatch: ${message}`);
+  process.exit(1);
+}
+
+if (!SOURCES.includes(options.source)) {
+  fail(`invalid --source '${options.source}' (expected gateway, file or auto)`);
+}
+if (options.gateway.port !== undefined && !isValidPort(options.gateway.port)) {
+  fail(`invalid --port '${options.gateway.port}'`);
+}
+if (!(options.delay > 0)) fail('-d expects a positive number of seconds');
+if (!(options.debounce >= 0)) fail('--debounce expects a number of seconds');
+if (options.thresholds.some(t => !(t > 0))) fail('--threshold expects percentages, e.g. 80,90,100');
+if (isNaN(options.logSize)) fail('--log-size expects a size such as 512K or 10M');
+if (!(options.logKeep >= 0)) fail('--log-keep expects a number');
+for (const type of options.events) {
+  if (!EVENT_TYPES.includes(type)) {
+    fail(`unknown event type '${type}' (expected ${EVENT_TYPES.join(', ')})`);
+  }
+}
+if (options.webhook && !/^https?:\/\//.test(options.webhook)) {
+  fail(`invalid --webhook '${options.webhook}' (expected an http:// or https:// URL)`);
+}
+
+const gatewayConfig = loadConfig(options.gateway);
+
+function warn(message) {
+  console.error(`clawwatch: ${message}`);
+}
+
+// --- Sinks ---
+
+function postWebhook(url, events) {
+  const body = JSON.stringify({ events });
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+  options.headers.forEach(header => {
+    const idx = header.indexOf(':');
+    if (idx > 0) headers[header.slice(0, idx).trim()] = header.slice(idx + 1).trim();
+  });
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, { method: 'POST', headers, timeout: 10000 }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+        else reject(new Error(`HTTP ${res.statusCode}`));
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Move file -> file.1 -> ... -> file.<keep>, dropping the oldest
+function rotateLog(file, keep) {
+  for (let i = keep - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  if (keep > 0) {
+    fs.renameSync(file, `${file}.1`);
+  } else {
+    fs.unlinkSync(file);
+  }
+}
+
+function appendLog(file, events) {
+  const text = events.map(e => JSON.stringify(e) + '\n').join('');
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch (err) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  if (size > 0 && size + Buffer.byteLength(text) > options.logSize) {
+    rotateLog(file, options.logKeep);
+  }
+  fs.appendFileSync(file, text);
+}
+
+function createSink(name, deliver) {
+  return { name, deliver, queue: [], failures: 0, retryAt: 0, retryTimer: null, flushing: false };
+}
+
+const sinks = [];
+if (!options.quiet) {
+  sinks.push(createSink('stdout', async events => {
+    events.forEach(e => process.stdout.write(JSON.stringify(e) + '\n'));
+  }));
+}
+if (options.log) {
+  sinks.push(createSink('log', async events => appendLog(options.log, events)));
+}
+if (options.webhook) {
+  sinks.push(createSink('webhook', events => postWebhook(options.webhook, events)));
+}
+
+function enqueue(sink, events) {
+  sink.queue.push(...events);
+  if (sink.queue.length > MAX_QUEUE) {
+    const dropped = sink.queue.splice(0, sink.queue.length - MAX_QUEUE);
+    warn(`${sink.name}: queue full, dropped ${dropped.length} oldest events`);
+  }
+}
+
+// Deliver a sink's queue. On failure the events stay queued and, unless
+// `retry` is false, another attempt is scheduled with exponential backoff;
+// until then new events just queue up.
+async function flushSink(sink, retry = true) {
+  if (sink.flushing || sink.queue.length === 0) return true;
+  if (retry && Date.now() < sink.retryAt) return false;
+  sink.flushing = true;
+  const batch = sink.queue.slice();
+  try {
+    await sink.deliver(batch);
+    sink.queue.splice(0, batch.length);
+    sink.failures = 0;
+    sink.retryAt = 0;
+    return true;
+  } catch (err) {
+    sink.failures++;
+    const wait = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (sink.failures - 1));
+    if (retry) {
+      warn(`${sink.name}: ${err.message}; ${sink.queue.length} events queued, retrying in ${formatDuration(wait)}`);
+      sink.retryAt = Date.now() + wait;
+      clearTimeout(sink.retryTimer);
+      sink.retryTimer = setTimeout(() => flushSink(sink), wait);
+    } else {
+      warn(`${sink.name}: ${err.message}; ${sink.queue.length} events kept for the next run`);
+    }
+    return false;
+  } finally {
+    sink.flushing = false;
+  }
+}
+
+// --- State ---
+
+function loadState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') warn(`ignoring unreadable state file ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+// Drop events of unwanted types and repeats inside the debounce window.
+// `lastSent` maps `${key} ${event}` to the time it was last emitted.
+function selectEvents(events, lastSent, now) {
+  const windowMs = options.debounce * 1000;
+  const selected = events.filter(e => {
+    if (!options.events.includes(e.event)) return false;
+    const id = `${e.key} ${e.event}`;
+    if (windowMs > 0 && lastSent[id] && now - lastSent[id] < windowMs) return false;
+    lastSent[id] = now;
+    return true;
+  });
+  // Forget entries that can no longer suppress anything
+  Object.keys(lastSent).forEach(id => {
+    if (now - lastSent[id] >= windowMs) delete lastSent[id];
+  });
+  return selected;
+}
+
+// --- Main ---
+
+async function main() {
+  const refresher = createSessionRefresher({
+    config: gatewayConfig,
+    agents: options.agents,
+    source: options.source,
+    all: true,
+    transcripts: false,
+  });
+
+  const saved = options.state ? loadState(options.state) : null;
+  let diffState = saved && saved.sessions ? { sessions: saved.sessions } : null;
+  const lastSent = (saved && saved.lastSent) || {};
+  // Events a sink failed to deliver on the previous --once run
+  sinks.forEach(sink => enqueue(sink, (saved && saved.pending && saved.pending[sink.name]) || []));
+
+  const persist = () => {
+    if (!options.state || !diffState) return;
+    const pending = {};
+    sinks.forEach(sink => {
+      if (sink.queue.length > 0) pending[sink.name] = sink.queue;
+    });
+    try {
+      saveState(options.state, { ...diffState, lastSent, pending });
+    } catch (err) {
+      warn(`could not save state to ${options.state}: ${err.message}`);
+    }
+  };
+
+  const tick = async (retry) => {
+    const { sessions, error, warnings, now } = await refresher.refresh();
+    warnings.forEach(warning => warn(warning.message));
+    if (error) {
+      // Without sessions every one of them would look removed
+      warn(error);
+      return false;
+    }
+    const result = diffSessions(diffState, sessions, { thresholds: options.thresholds, now });
+    diffState = result.state;
+    const events = selectEvents(result.events, lastSent, now);
+    sinks.forEach(sink => enqueue(sink, events));
+    const delivered = await Promise.all(sinks.map(sink => flushSink(sink, retry)));
+    persist();
+    return delivered.every(Boolean);
+  };
+
+  if (options.once) {
+    return (await tick(false)) ? 0 : 1;
+  }
+
+  const shutdown = () => {
+    persist();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  const loop = async () => {
+    await tick(true);
+    setTimeout(loop, options.delay * 1000);
+  };
+  await loop();
+  return null;
+}
+
+main().then(code => {
+  if (code !== null) process.exit(code);
+}).catch(err => {
+  warn(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * Session control actions (abort, reset, compact, delete) shared by clawkill
+ * and clawtop.
+ *
+ * Actions always go through the gateway's /tools/invoke endpoint; the session
+ * store files are never modified directly.
+ */
+
+const { loadConfig, invokeTool, globToRegExp, getAgentName } = require('./core');
+
+const ACTIONS = {
+  abort: { tool: 'sessions_abort', verb: 'Abort', description: 'stop the current run' },
+  reset: { tool: 'sessions_reset', verb: 'Reset', description: 'start a fresh transcript under the same key' },
+  compact: { tool: 'sessions_compact', verb: 'Compact', description: 'summarize the transcript to free context' },
+  delete: { tool: 'sessions_delete', verb: 'Delete', description: 'remove the session' },
+};
+
+/**
+ * Sessions matching a pkill-style pattern. The pattern is compared,
+ * case-insensitively, with the key, display name and agent name; * and ?
+ * wildcards are honoured and a plain word matches anywhere unless `exact`.
+ * An exact key match always wins over partial matches.
+ */
+function matchSessions(sessions, pattern, { exact = false } = {}) {
+  const byKey = sessions.filter(s => s.key === pattern);
+  if (byKey.length > 0) return byKey;
+
+  const wildcard = /[*?]/.test(pattern);
+  const regex = globToRegExp(exact || wildcard ? pattern : `*${pattern}*`);
+  return sessions.filter(s =>
+    [s.key, s.displayName, getAgentName(s)].some(value => value && regex.test(value)));
+}
+
+/**
+ * Run an action on one session through the gateway.
+ * @param {string} action one of the ACTIONS keys
+ * @param {object} session session record (only `key` is used)
+ * @param {{config?: object, dryRun?: boolean}} [options]
+ *   with `dryRun` the request is described but not sent
+ * @returns {Promise<{action: string, key: string, tool: string, args: object, dryRun: boolean, result: object|null}>}
+ */
+async function runSessionAction(action, session, { config = loadConfig(), dryRun = false } = {}) {
+  const spec = ACTIONS[action];
+  if (!spec) {
+    throw new Error(`Unknown action '${action}' (expected ${Object.keys(ACTIONS).join(', ')})`);
+  }
+
+  const args = { sessionKey: session.key };
+  const outcome = { action, key: session.key, tool: spec.tool, args, dryRun, result: null };
+  if (!dryRun) {
+    outcome.result = await invokeTool(spec.tool, args, config);
+  }
+  return outcome;
+}
+
+module.exports = {
+  ACTIONS,
+  matchSessions,
+  runSessionAction,
+};
@@ -0,0 +1,230 @@
+/**
+ * Alert rules for sessions (context pressure, aborted runs, overdue cron jobs,
+ * token rate) shared by clawps and clawtop.
+ *
+ * A rule is written as a short expression: `ctx>=90`, `rate>50`,
+ * `tokens>200000`, `aborted` or `overdue`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getStateDir, getAgentName, formatDuration } = require('./core');
+const { getContextUsage } = require('./context');
+
+const DEFAULT_ALERT_RULES = ['ctx>=90', 'aborted', 'overdue'];
+
+// How late a cron session may be before it counts as overdue
+const OVERDUE_GRACE_MS = 5 * 60 * 1000;
+
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+};
+
+// Numeric metrics a threshold rule can compare; null means "not known"
+const METRICS = {
+  ctx: {
+    value: s => getContextUsage(s).percent,
+    describe: v => `context ${Math.round(v)}%`,
+    unit: '%',
+  },
+  rate: {
+    value: (s, ctx) => ctx.getRate(s),
+    describe: v => `token rate ${v.toFixed(1)}`,
+    unit: '',
+  },
+  tokens: {
+    value: s => s.totalTokens || 0,
+    describe: v => `${v} tokens`,
+    unit: '',
+  },
+};
+
+/**
+ * Parse one rule expression.
+ * @param {string} spec e.g. 'ctx>=90'
+ * @returns {{name: string, test: function(object, object): string|null}}
+ *   `test` returns a short message when the session matches, else null
+ */
+function parseAlertRule(spec) {
+  const name = spec.trim();
+  if (name === 'aborted') {
+    return { name, test: s => (s.abortedLastRun ? 'last run aborted' : null) };
+  }
+  if (name === 'overdue') {
+    return { name, test: (s, ctx) => cronOverdueMessage(s, ctx.jobs, ctx.now) };
+  }
+
+  const match = /^(\w+)\s*(>=|>|<=|<)\s*(\d+(?:\.\d+)?)$/.exec(name);
+  if (!match || !METRICS[match[1]]) {
+    throw new Error(`Invalid alert rule '${spec}' (expected e.g. ctx>=90, rate>50, tokens>200000, aborted, overdue)`);
+  }
+  const [, metricName, op, threshold] = match;
+  const metric = METRICS[metricName];
+  const limit = parseFloat(threshold);
+  return {
+    name,
+    test: (s, ctx) => {
+      const value = metric.value(s, ctx);
+      if (value === null || !COMPARATORS[op](value, limit)) return null;
+      return `${metric.describe(value)} ${op} ${limit}${metric.unit}`;
+    },
+  };
+}
+
+// Parse a list of rule expressions (comma-separated entries allowed)
+function parseAlertRules(specs) {
+  return specs
+    .flatMap(spec => spec.split(','))
+    .filter(spec => spec.trim())
+    .map(parseAlertRule);
+}
+
+/**
+ * Cron jobs by id from ~/.openclaw/cron/jobs.json; an empty Map when the
+ * file is missing or unreadable.
+ */
+function loadCronJobs(filePath = path.join(getStateDir(), 'cron', 'jobs.json')) {
+  const jobs = new Map();
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(data) ? data : data.jobs || [];
+    list.forEach(job => {
+      if (job && job.id) jobs.set(job.id, job);
+    });
+  } catch (e) {
+    // No cron jobs
+  }
+  return jobs;
+}
+
+// Cron job id from a key like agent:main:cron:<jobId>[:run:<runId>]
+function getCronJobId(session) {
+  const match = /:cron:([^:]+)/.exec(session.key || '');
+  return match ? match[1] : null;
+}
+
+// Message when a cron session has been idle past its next scheduled run
+function cronOverdueMessage(session, jobs, now) {
+  const job = jobs.get(getCronJobId(session));
+  if (!job || job.enabled === false) return null;
+
+  const idle = now - (session.updatedAt || 0);
+  const schedule = job.schedule || {};
+  if (schedule.kind === 'every' && schedule.everyMs > 0) {
+    if (idle <= schedule.everyMs + OVERDUE_GRACE_MS) return null;
+    return `cron overdue: idle ${formatDuration(idle)}, runs every ${formatDuration(schedule.everyMs)}`;
+  }
+
+  // Other schedules (cron expressions, one-shot): trust the job's next run time
+  const nextRunAt = job.state?.nextRunAtMs;
+  if (!nextRunAt || now - nextRunAt <= OVERDUE_GRACE_MS || (session.updatedAt || 0) >= nextRunAt) {
+    return null;
+  }
+  return `cron overdue: next run was due ${formatDuration(now - nextRunAt)} ago`;
+}
+
+/**
+ * Evaluate rules against sessions, setting `session.alerts` to a list of
+ * `{ rule, message }` (empty when nothing matches).
+ * @param {object[]} sessions
+ * @param {object[]} rules from parseAlertRules
+ * @param {{now?: number, jobs?: Map, getRate?: function(object): number}} [options]
+ *   `getRate` returns a session's token rate (default: `session.tokenRate`)
+ * @returns {object[]} the sessions with at least one alert
+ */
+function evaluateAlerts(sessions, rules, options = {}) {
+  const ctx = {
+    now: options.now || Date.now(),
+    jobs: options.jobs || (rules.some(r => r.name === 'overdue') ? loadCronJobs() : new Map()),
+    getRate: options.getRate || (s => s.tokenRate || 0),
+  };
+  return sessions.filter(s => {
+    s.alerts = rules
+      .map(rule => ({ rule: rule.name, message: rule.test(s, ctx) }))
+      .filter(alert => alert.message !== null);
+    return s.alerts.length > 0;
+  });
+}
+
+/**
+ * Remembers which alerts are raised between refreshes so each one is reported
+ * once when it starts and once when it clears.
+ * @param {object[]} [raised] alerts raised by an earlier run, from `raised()`
+ * @returns {{update: function(object[]): object[], raised: function(): object[]}}
+ *   `update(sessions)` returns `{ event: 'raised'|'cleared', rule, message,
+ *   session }` for every change; `raised()` the alerts currently raised, as
+ *   `{ rule, message, session }`, for saving between runs
+ */
+function createAlertTracker(raised = []) {
+  // `${key}\0${rule}` -> { rule, message, session }
+  let active = new Map(raised.map(alert => [`${alert.session.key}\0${alert.rule}`, alert]));
+
+  return {
+    raised() {
+      return [...active.values()];
+    },
+
+    update(sessions) {
+      const events = [];
+      const next = new Map();
+      sessions.forEach(session => {
+        (session.alerts || []).forEach(alert => {
+          const id = `${session.key}\0${alert.rule}`;
+          next.set(id, { ...alert, session });
+          if (!active.has(id)) events.push({ event: 'raised', ...alert, session });
+        });
+      });
+      // Sessions that went away (filtered, deleted) drop their alerts silently
+      const present = new Set(sessions.map(s => s.key));
+      active.forEach((alert, id) => {
+        if (!next.has(id) && present.has(alert.session.key)) {
+          events.push({ event: 'cleared', rule: alert.rule, message: alert.message, session: alert.session });
+        }
+      });
+      active = next;
+      return events;
+    },
+  };
+}
+
+/**
+ * Run an --on-alert command through the shell with the event as JSON on
+ * stdin and OPENCLAW_ALERT_* variables set.
+ * @returns {Promise<{code: number, stderr: string}>}
+ */
+function runAlertHook(command, event) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: {
+        ...process.env,
+        OPENCLAW_ALERT_EVENT: event.event,
+        OPENCLAW_ALERT_RULE: event.rule,
+        OPENCLAW_ALERT_MESSAGE: event.message,
+        OPENCLAW_SESSION_KEY: event.session.key,
+        OPENCLAW_SESSION_NAME: getAgentName(event.session),
+      },
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', err => resolve({ code: -1, stderr: err.message }));
+    child.on('close', code => resolve({ code, stderr: stderr.trim() }));
+    child.stdin.on('error', () => {}); // hook may exit without reading stdin
+    child.stdin.end(JSON.stringify(event) + '\n');
+  });
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  parseAlertRule,
+  parseAlertRules,
+  loadCronJobs,
+  evaluateAlerts,
+  createAlertTracker,
+  runAlertHook,
+};
@@ -0,0 +1,42 @@
+/**
+ * Command-line helpers shared by the bins that read flags by name rather
+ * than walking the argument list.
+ */
+
+/**
+ * Values of a repeatable flag, given as `--flag value` or `--flag=value`.
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string[]} in the order given
+ */
+function getArgValues(args, flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag && args[i + 1] !== undefined) {
+      values.push(args[++i]);
+    } else if (args[i].startsWith(flag + '=')) {
+      values.push(args[i].slice(flag.length + 1));
+    }
+  }
+  return values;
+}
+
+/**
+ * Like getArgValues for any of `flags`, with comma-separated lists
+ * flattened: `-o a,b -o c` gives ['a', 'b', 'c'].
+ * @param {string[]} args
+ * @param {...string} flags
+ * @returns {string[]}
+ */
+function getArgList(args, ...flags) {
+  return flags
+    .flatMap(flag => getArgValues(args, flag))
+    .flatMap(v => v.split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  getArgValues,
+  getArgList,
+};
@@ -0,0 +1,76 @@
+/**
+ * Text charts for clawtop: one-line block sparklines for table cells and
+ * multi-line braille area charts, as drawn by btop.
+ */
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+// Braille dot bits by column (left, right) and dot row (top to bottom)
+const BRAILLE_DOTS = [
+  [0x01, 0x02, 0x04, 0x40],
+  [0x08, 0x10, 0x20, 0x80],
+];
+
+/**
+ * Sparkline of the last `width` values, right-aligned, e.g. '  ▁▁▃▅█'.
+ * @param {number[]} values
+ * @param {number} width characters
+ * @param {{min?: number, max?: number}} [scale] defaults to 0 and the largest value shown
+ */
+function sparkline(values, width, { min = 0, max } = {}) {
+  const shown = values.slice(-width);
+  const top = max ?? Math.max(...shown, 0);
+  const line = shown.map(value => {
+    if (top <= min) return SPARK_BLOCKS[0];
+    const level = Math.round(((value - min) / (top - min)) * (SPARK_BLOCKS.length - 1));
+    return SPARK_BLOCKS[Math.max(0, Math.min(SPARK_BLOCKS.length - 1, level))];
+  }).join('');
+  return line.padStart(width);
+}
+
+/**
+ * Area chart of the last `width * 2` values in braille, two values per
+ * character and four dots of height per line, newest on the right.
+ * @param {number[]} values
+ * @param {number} width characters
+ * @param {number} height lines
+ * @param {{max?: number}} [scale] top of the chart (default: the largest value shown)
+ * @returns {string[]} `height` lines of `width` characters
+ */
+function brailleChart(values, width, height, { max } = {}) {
+  const columns = width * 2;
+  const shown = values.slice(-columns);
+  const offset = columns - shown.length; // empty dot columns on the left
+  const top = max ?? Math.max(...shown, 0);
+  const dots = height * 4;
+  // Filled dots per dot column, from the bottom
+  const levels = new Array(columns).fill(0);
+  shown.forEach((value, i) => {
+    if (top > 0 && value > 0) levels[offset + i] = Math.max(1, Math.min(dots, Math.round((value / top) * dots)));
+  });
+
+  const lines = [];
+  for (let row = 0; row < height; row++) {
+    let line = '';
+    for (let x = 0; x < width; x++) {
+      let code = 0x2800;
+      for (let side = 0; side < 2; side++) {
+        const level = levels[x * 2 + side];
+        for (let dot = 0; dot < 4; dot++) {
+          // Dot rows counted from the bottom of the chart
+          const fromBottom = dots - (row * 4 + dot);
+          if (fromBottom <= level) code |= BRAILLE_DOTS[side][dot];
+        }
+      }
+      // Blank cells as spaces, which every font draws blank
+      line += code === 0x2800 ? ' ' : String.fromCharCode(code);
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+module.exports = {
+  sparkline,
+  brailleChart,
+};
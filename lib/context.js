@@ -0,0 +1,117 @@
+/**
+ * Context window model shared by clawps and clawtop: how big a session's
+ * context window is, how much of it is used, and which usage band that falls in.
+ *
+ * Sessions usually carry their window (`contextWindow` / `contextTokens`).
+ * When they don't, it is looked up by model name: first in the
+ * `contextWindows` display setting (see getDisplaySettings), then in
+ * openclaw.json (`models.providers.<provider>.models[].contextWindow`), then
+ * in the built-in table below.
+ */
+
+const { readOpenclawConfig, getDisplaySettings, globToRegExp } = require('./core');
+
+// Context windows (tokens) of common models, matched against the model id
+// without its provider prefix. First match wins, so specific entries go first.
+const MODEL_CONTEXT_WINDOWS = {
+  'claude-*': 200000,
+  'gpt-4.1*': 1047576,
+  'gpt-4o*': 128000,
+  'gpt-4-turbo*': 128000,
+  'gpt-5*': 400000,
+  'o1*': 200000,
+  'o3*': 200000,
+  'o4-mini*': 200000,
+  'gemini-1.5-pro*': 2097152,
+  'gemini-*': 1048576,
+  'kimi-k2*': 262144,
+  'deepseek-*': 128000,
+  'grok-4*': 256000,
+  'llama-3.*': 131072,
+};
+
+let windowTable = null;
+
+function toEntries(map, source) {
+  return Object.entries(map || {})
+    .filter(([, tokens]) => Number(tokens) > 0)
+    .map(([name, tokens]) => ({ name, pattern: globToRegExp(name), tokens: Number(tokens), source }));
+}
+
+/**
+ * Build the model → context window table, user entries first.
+ * @returns {{name: string, pattern: RegExp, tokens: number, source: string}[]}
+ */
+function loadContextWindows() {
+  const user = getDisplaySettings().contextWindows;
+  const configured = {};
+  const providers = readOpenclawConfig()?.models?.providers || {};
+  for (const [provider, settings] of Object.entries(providers)) {
+    for (const model of settings?.models || []) {
+      if (model?.id && model.contextWindow) configured[`${provider}/${model.id}`] = model.contextWindow;
+    }
+  }
+
+  return [
+    ...toEntries(user, 'user'),
+    ...toEntries(configured, 'openclaw.json'),
+    ...toEntries(MODEL_CONTEXT_WINDOWS, 'built-in'),
+  ];
+}
+
+/**
+ * Context window for a model name, 'provider/model' or bare; 0 if unknown.
+ * Entries may name the provider or not: 'openrouter/anthropic/claude-x'
+ * is tried as is, then as 'anthropic/claude-x' and 'claude-x'.
+ */
+function lookupContextWindow(model, table = null) {
+  if (!model || model === 'unknown') return 0;
+  if (!table) {
+    windowTable = windowTable || loadContextWindows();
+    table = windowTable;
+  }
+  const parts = model.split('/');
+  for (let i = 0; i < parts.length; i++) {
+    const name = parts.slice(i).join('/');
+    const match = table.find(entry => entry.pattern.test(name));
+    if (match) return match.tokens;
+  }
+  return 0;
+}
+
+/**
+ * A session's context window in tokens: its own, else the model's; 0 if unknown.
+ */
+function getContextWindow(session) {
+  return session.contextWindow || session.contextTokens || lookupContextWindow(session.model);
+}
+
+// Band name for a context percent ('ok', 'warn', 'critical', by the
+// contextWarn/contextCritical thresholds); null if unknown
+function contextBand(percent) {
+  if (percent === null || percent === undefined) return null;
+  const { contextWarn, contextCritical } = getDisplaySettings().thresholds;
+  if (percent >= contextCritical) return 'critical';
+  return percent >= contextWarn ? 'warn' : 'ok';
+}
+
+/**
+ * Context usage of a session.
+ * @returns {{tokens: number, max: number, percent: number|null, band: string|null}}
+ *   `percent` is unrounded and null when the window is unknown
+ */
+function getContextUsage(session) {
+  const tokens = session.totalTokens || 0;
+  const max = getContextWindow(session);
+  const percent = max > 0 ? (tokens / max) * 100 : null;
+  return { tokens, max, percent, band: contextBand(percent) };
+}
+
+module.exports = {
+  MODEL_CONTEXT_WINDOWS,
+  loadContextWindows,
+  lookupContextWindow,
+  getContextWindow,
+  getContextUsage,
+  contextBand,
+};
@@ -0,0 +1,672 @@
+/**
+ * clawps core - shared session discovery and formatting for the clawps tools
+ *
+ * Programmatic API:
+ *   const { loadConfig, listSessions, classifyStatus, watchSessions } = require('clawps');
+ */
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createChangeFeed, scheduleRefreshes } = require('./watch');
+const { THEME_NAMES } = require('./theme');
+const {
+  StoreNotFoundError,
+  StoreUnreadableError,
+  GatewayUnreachableError,
+  GatewayAuthError,
+  toParseError,
+} = require('./errors');
+
+const DEFAULT_PORT = 18789;
+
+// Display settings used when neither openclaw.json's `clawps` section nor
+// ~/.config/clawps/config.json sets them. Rule maps are regex -> replacement,
+// applied in order.
+const DEFAULT_DISPLAY_SETTINGS = {
+  modelAliases: { '^moonshot/': '', '^openrouter/': 'or/' },
+  nameRewrites: { '^Cron: ': '', '^agent:[^:]+:': '' },
+  channelIcons: {},
+  contextWindows: {},
+  theme: 'default', // see lib/theme.js
+  thresholds: {
+    activeMinutes: 5, // status cutoffs by time since last update
+    staleMinutes: 30,
+    contextWarn: 70, // context usage bands, in percent
+    contextCritical: 90,
+  },
+};
+
+const SOURCES = ['auto', 'gateway', 'file'];
+
+let debugLogger = null;
+
+/**
+ * Report the paths and endpoints tried while loading config and sessions
+ * (the tools' --debug flag).
+ * @param {function(string): void|null} logger called with one message per step; null turns it off
+ */
+function setDebugLogger(logger) {
+  debugLogger = logger;
+}
+
+function debug(message) {
+  if (debugLogger) debugLogger(message);
+}
+
+function getStateDir() {
+  return path.join(os.homedir(), '.openclaw');
+}
+
+// Where clawps's own settings live: $XDG_CONFIG_HOME/clawps, else ~/.config/clawps
+function getConfigDir() {
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'clawps');
+}
+
+// Whether a --port value is a TCP port number (1-65535)
+function isValidPort(value) {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port <= 65535;
+}
+
+// Split a gateway URL (http, https, ws or wss) into client settings
+function parseGatewayUrl(url) {
+  const parsed = new URL(url);
+  const tls = parsed.protocol === 'https:' || parsed.protocol === 'wss:';
+  return {
+    host: parsed.hostname,
+    port: parsed.port ? Number(parsed.port) : (tls ? 443 : DEFAULT_PORT),
+    tls,
+  };
+}
+
+/**
+ * The first openclaw.json found in ~/.openclaw, %USERPROFILE%\.openclaw or
+ * /etc/openclaw, parsed; null if there is none.
+ * @returns {object|null}
+ */
+function readOpenclawConfig() {
+  const configPaths = [
+    path.join(getStateDir(), 'openclaw.json'),
+    process.env.USERPROFILE && path.join(process.env.USERPROFILE, '.openclaw', 'openclaw.json'),
+    '/etc/openclaw/openclaw.json',
+  ].filter(Boolean);
+
+  for (const configPath of configPaths) {
+    try {
+      if (fs.existsSync(configPath)) {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        debug(`config: using ${configPath}`);
+        return config;
+      }
+      debug(`config: ${configPath} not found`);
+    } catch (err) {
+      // Try the next location
+      debug(`config: skipping ${configPath}: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+// Compile a { regex: replacement } map, skipping (and reporting) bad patterns
+function compileRules(rules, name) {
+  const compiled = [];
+  for (const [pattern, replacement] of Object.entries(rules || {})) {
+    try {
+      compiled.push({ pattern: new RegExp(pattern), replacement: String(replacement) });
+    } catch (err) {
+      console.error(`Ignoring clawps ${name} rule '${pattern}': ${err.message}`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Load display settings: the `clawps` section of openclaw.json, overridden
+ * key by key by config.json in getConfigDir(). `modelAliases` and
+ * `nameRewrites` replace the defaults when set; `thresholds` merge with them.
+ * @param {string} [userFile]
+ * @returns {{modelAliases: object[], nameRewrites: object[], channelIcons: object,
+ *   contextWindows: object, theme: string, thresholds: object}} rules compiled to `{ pattern, replacement }`
+ */
+function loadDisplaySettings(userFile = path.join(getConfigDir(), 'config.json')) {
+  let user = {};
+  try {
+    user = JSON.parse(fs.readFileSync(userFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Ignoring ${userFile}: ${err.message}`);
+  }
+  const section = readOpenclawConfig()?.clawps || {};
+  const merged = { ...DEFAULT_DISPLAY_SETTINGS, ...section, ...user };
+  if (!THEME_NAMES.includes(merged.theme)) {
+    console.error(`Ignoring clawps theme '${merged.theme}': expected ${THEME_NAMES.join(', ')}`);
+    merged.theme = DEFAULT_DISPLAY_SETTINGS.theme;
+  }
+  return {
+    modelAliases: compileRules(merged.modelAliases, 'modelAliases'),
+    nameRewrites: compileRules(merged.nameRewrites, 'nameRewrites'),
+    channelIcons: merged.channelIcons || {},
+    contextWindows: merged.contextWindows || {},
+    theme: merged.theme,
+    thresholds: {
+      ...DEFAULT_DISPLAY_SETTINGS.thresholds,
+      ...section.thresholds,
+      ...user.thresholds,
+    },
+  };
+}
+
+let displaySettings = null;
+
+// Display settings, loaded on first use
+function getDisplaySettings() {
+  displaySettings = displaySettings || loadDisplaySettings();
+  return displaySettings;
+}
+
+function applyRules(rules, text) {
+  return rules.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), text);
+}
+
+/**
+ * Resolve gateway client settings. Values come from openclaw.json (see
+ * readOpenclawConfig), then OPENCLAW_GATEWAY_URL / OPENCLAW_GATEWAY_TOKEN,
+ * then `overrides` (CLI flags).
+ * @param {{host?: string, port?: number, token?: string, tls?: boolean, insecure?: boolean}} [overrides]
+ * @returns {{host: string, port: number, token: string|null, tls: boolean, insecure: boolean}}
+ */
+function loadConfig(overrides = {}) {
+  const raw = readOpenclawConfig();
+  let config = {
+    host: raw?.gateway?.host || 'localhost',
+    port: raw?.gateway?.port || DEFAULT_PORT,
+    token: raw?.gateway?.auth?.token || null,
+    tls: Boolean(raw?.gateway?.tls?.enabled),
+    insecure: false,
+  };
+
+  if (process.env.OPENCLAW_GATEWAY_URL) {
+    config = { ...config, ...parseGatewayUrl(process.env.OPENCLAW_GATEWAY_URL) };
+  }
+  if (process.env.OPENCLAW_GATEWAY_TOKEN) {
+    config.token = process.env.OPENCLAW_GATEWAY_TOKEN;
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) config[name] = value;
+  }
+  config.port = Number(config.port);
+  return config;
+}
+
+/**
+ * Find every agents/<id>/sessions/sessions.json under the state directory.
+ * An empty list when there is no agents directory; throws a
+ * StoreUnreadableError when it can't be listed.
+ */
+function getSessionStores() {
+  const agentsDir = path.join(getStateDir(), 'agents');
+  let agentIds;
+  try {
+    agentIds = fs.readdirSync(agentsDir);
+  } catch (err) {
+    debug(`file: cannot list ${agentsDir}: ${err.message}`);
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+    throw new StoreUnreadableError(`Cannot read ${agentsDir}: ${err.message}`, { path: agentsDir, cause: err });
+  }
+  return agentIds
+    .map(agentId => ({
+      agentId,
+      path: path.join(agentsDir, agentId, 'sessions', 'sessions.json'),
+    }))
+    .filter(store => {
+      const exists = fs.existsSync(store.path);
+      debug(`file: ${store.path}${exists ? '' : ' not found'}`);
+      return exists;
+    });
+}
+
+// Agent id encoded in a session key (agent:<id>:...)
+function getAgentIdFromKey(key) {
+  const match = /^agent:([^:]+):/.exec(key || '');
+  return match ? match[1] : 'main';
+}
+
+// Map a raw session record (file or gateway) to the shape both sources share
+function normalizeSession(key, session, agentId) {
+  return {
+    key: key,
+    agentId: agentId || getAgentIdFromKey(key),
+    channel: session.channel || 'unknown',
+    displayName: session.displayName || key,
+    updatedAt: session.updatedAt || session.lastMessageAt || 0,
+    sessionId: session.sessionId || key,
+    model: session.model || 'unknown',
+    contextTokens: session.contextWindow || session.contextTokens || 0,
+    totalTokens: session.totalTokens || 0,
+    kind: session.kind || 'other',
+    deliveryContext: session.deliveryContext || {},
+    spawnedBy: session.spawnedBy || session.parentSessionKey || '',
+    systemSent: session.systemSent || false,
+    abortedLastRun: session.abortedLastRun || false,
+    lastChannel: session.lastChannel || session.channel || '',
+    lastTo: session.lastTo || '',
+    lastAccountId: session.lastAccountId || '',
+    transcriptPath: session.transcriptPath || '',
+  };
+}
+
+function byUpdatedAt(a, b) {
+  return (b.updatedAt || 0) - (a.updatedAt || 0);
+}
+
+// Last good parse of each sessions.json: { mtimeMs, size, sessions } by path
+const storeCache = new Map();
+
+// Sessions in one store, parsed again only when the file changed. Throws
+// StoreUnreadableError or StoreParseError.
+function readSessionStore(store) {
+  let stat;
+  let text;
+  try {
+    stat = fs.statSync(store.path);
+    const cached = storeCache.get(store.path);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.sessions;
+    }
+    text = fs.readFileSync(store.path, 'utf8');
+  } catch (err) {
+    throw new StoreUnreadableError(`Cannot read ${store.path}: ${err.message}`, { path: store.path, cause: err });
+  }
+
+  let sessionsObj;
+  try {
+    sessionsObj = JSON.parse(text);
+  } catch (err) {
+    throw toParseError(err, text, store.path, store.path);
+  }
+  const sessions = Object.entries(sessionsObj)
+    .map(([key, session]) => normalizeSession(key, session, store.agentId));
+  storeCache.set(store.path, { mtimeMs: stat.mtimeMs, size: stat.size, sessions });
+  return sessions;
+}
+
+/**
+ * Read sessions directly from sessions.json (like CLI does).
+ *
+ * A store that can't be read or parsed (e.g. caught mid-write) keeps its last
+ * good sessions, and its error goes to `warnings` with `lastGood` set. The
+ * error is thrown instead when no store yields any sessions at all.
+ * @param {string[]} [agents] only these agents' stores
+ * @param {Error[]} [warnings] receives the typed error of every store that failed
+ * @throws {StoreNotFoundError|StoreUnreadableError|StoreParseError}
+ */
+function getSessionsFromFile(agents = [], warnings = []) {
+  const stores = getSessionStores()
+    .filter(store => agents.length === 0 || agents.includes(store.agentId));
+  if (stores.length === 0) {
+    const where = path.join(getStateDir(), 'agents', agents.length === 1 ? agents[0] : '*', 'sessions', 'sessions.json');
+    throw new StoreNotFoundError(`No session store found (looked for ${where})`, { path: where });
+  }
+
+  const sessions = [];
+  const failed = [];
+  for (const store of stores) {
+    let storeSessions;
+    try {
+      storeSessions = readSessionStore(store);
+    } catch (err) {
+      const cached = storeCache.get(store.path);
+      err.lastGood = Boolean(cached);
+      if (cached) err.message += ' (showing the last good copy)';
+      failed.push(err);
+      if (!cached) continue;
+      storeSessions = cached.sessions;
+    }
+    // Copies, so callers can annotate them without touching the cache
+    storeSessions.forEach(s => sessions.push({ ...s }));
+  }
+  if (failed.length === stores.length && !failed.some(err => err.lastGood)) throw failed[0];
+  warnings.push(...failed);
+  return sessions.sort(byUpdatedAt);
+}
+
+/**
+ * Send a request to the gateway using the configured host, port, token and
+ * TLS settings. Resolves `{ statusCode, body }` for any HTTP response.
+ */
+function gatewayRequest(config, { method = 'GET', path: urlPath, body, timeout = 5000 }) {
+  return new Promise((resolve, reject) => {
+    const { host, port, token, tls, insecure } = config;
+    const postData = body === undefined ? null : JSON.stringify(body);
+
+    const headers = { 'Accept': 'application/json' };
+    if (postData !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+    }
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const transport = tls ? https : http;
+    const address = `${tls ? 'https' : 'http'}://${host}:${port}`;
+    const unreachable = (reason, cause) => new GatewayUnreachableError(
+      `Cannot reach the gateway at ${address} (${reason})`, { address, cause });
+    debug(`gateway: ${method} ${address}${urlPath}`);
+    const req = transport.request({
+      hostname: host,
+      port,
+      path: urlPath,
+      method,
+      headers,
+      rejectUnauthorized: !insecure,
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        debug(`gateway: ${method} ${address}${urlPath} -> HTTP ${res.statusCode}`);
+        resolve({ statusCode: res.statusCode, body: data });
+      });
+    });
+
+    req.on('error', err => {
+      debug(`gateway: ${method} ${address}${urlPath} failed: ${err.message}`);
+      reject(unreachable(err.code || err.message, err));
+    });
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(unreachable(`no answer within ${timeout / 1000}s`));
+    });
+    if (postData !== null) req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Call a tool through the gateway's /tools/invoke endpoint.
+ * Resolves with the tool's JSON result.
+ */
+async function invokeTool(tool, args = {}, config = loadConfig()) {
+  const res = await gatewayRequest(config, {
+    method: 'POST',
+    path: '/tools/invoke',
+    body: { tool, args },
+  });
+  if (res.statusCode === 401 || res.statusCode === 403) {
+    const address = `${config.tls ? 'https' : 'http'}://${config.host}:${config.port}`;
+    throw new GatewayAuthError(
+      `Gateway at ${address} rejected the ${config.token ? 'token' : 'request (no token configured)'} (HTTP ${res.statusCode})`,
+      { address, statusCode: res.statusCode });
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(res.body);
+  } catch (e) {
+    throw new Error('Invalid JSON response');
+  }
+  if (!parsed.ok || !parsed.result) {
+    throw new Error(parsed.error?.message || 'Unknown error');
+  }
+
+  const result = parsed.result;
+  if (result.content && result.content[0]?.text) {
+    // Parse the JSON text content
+    try {
+      return JSON.parse(result.content[0].text);
+    } catch (e) {
+      throw new Error('Invalid JSON response');
+    }
+  }
+  return result.details || {};
+}
+
+// Simple health check - just verifies gateway is reachable
+async function checkGatewayHealth(config = loadConfig()) {
+  try {
+    const res = await gatewayRequest(config, { path: '/health', timeout: 3000 });
+    return res.statusCode === 200;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Ask the gateway for its session list via the sessions_list tool
+async function getSessionsFromGateway(agents = [], config = loadConfig()) {
+  const result = await invokeTool('sessions_list', {}, config);
+  return (result.sessions || [])
+    .map(session => normalizeSession(session.key, session))
+    .filter(s => agents.length === 0 || agents.includes(s.agentId))
+    .sort(byUpdatedAt);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolve sessions from the requested source. `auto` prefers the gateway and
+ * falls back to sessions.json when it fails for any reason but a rejected token.
+ * @returns {Promise<{source: 'gateway'|'file', sessions: object[], warnings: Error[]}>}
+ *   `warnings` has the errors of session stores that could not be read
+ * @throws {ClawError} see lib/errors.js
+ */
+async function fetchSessions({ agent, source = 'auto', config = loadConfig() } = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Invalid source '${source}' (expected gateway, file or auto)`);
+  }
+  const agents = toList(agent);
+  const warnings = [];
+  let sessions;
+  let used = source;
+  if (source === 'file') {
+    sessions = getSessionsFromFile(agents, warnings);
+  } else if (source === 'gateway') {
+    sessions = await getSessionsFromGateway(agents, config);
+  } else {
+    try {
+      sessions = await getSessionsFromGateway(agents, config);
+      used = 'gateway';
+    } catch (gatewayErr) {
+      // A rejected token is a setup problem, not an outage; don't hide it
+      if (gatewayErr instanceof GatewayAuthError) throw gatewayErr;
+      debug(`auto: gateway failed (${gatewayErr.message}), reading session files`);
+      try {
+        sessions = getSessionsFromFile(agents, warnings);
+      } catch (err) {
+        // Without local stores the gateway was the only option; its error says more
+        throw err instanceof StoreNotFoundError ? gatewayErr : err;
+      }
+      used = 'file';
+    }
+  }
+  return { source: used, sessions: sessions.map(s => ({ ...s, source: used })), warnings };
+}
+
+/**
+ * Classify a session by time since its last update, using the
+ * activeMinutes/staleMinutes thresholds (default 5 and 30).
+ * @returns {'active'|'idle'|'stale'}
+ */
+function classifyStatus(session, now = Date.now()) {
+  const { activeMinutes, staleMinutes } = getDisplaySettings().thresholds;
+  const idle = now - (session.updatedAt || 0);
+  if (idle < activeMinutes * 60 * 1000) return 'active';
+  if (idle < staleMinutes * 60 * 1000) return 'idle';
+  return 'stale';
+}
+
+// Shell-style wildcard (* and ?) to an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+/**
+ * Narrow sessions by field. Each criterion is a list of accepted values;
+ * an empty or missing list matches everything.
+ * @param {object[]} sessions
+ * @param {{channel?: string[], kind?: string[], model?: string[], status?: string[], aborted?: boolean}} criteria
+ *   `model` entries may use * and ? wildcards and match with or without the provider prefix
+ */
+function filterSessions(sessions, criteria = {}, now = Date.now()) {
+  const { channel = [], kind = [], model = [], status = [], aborted = false } = criteria;
+  const modelPatterns = model.map(globToRegExp);
+  return sessions.filter(s =>
+    (channel.length === 0 || channel.includes(s.channel)) &&
+    (kind.length === 0 || kind.includes(s.kind)) &&
+    (modelPatterns.length === 0 || modelPatterns.some(re => re.test(s.model) || re.test(s.model.split('/').pop()))) &&
+    (status.length === 0 || status.includes(classifyStatus(s, now))) &&
+    (!aborted || s.abortedLastRun)
+  );
+}
+
+/**
+ * List sessions, newest first. Stale sessions are dropped unless `all` is set.
+ * @param {{agent?: string|string[], all?: boolean, source?: string, config?: object}} [options]
+ * @returns {Promise<object[]>}
+ */
+async function listSessions(options = {}) {
+  const { sessions } = await fetchSessions(options);
+  if (options.all) return sessions;
+  const now = Date.now();
+  return sessions.filter(s => classifyStatus(s, now) !== 'stale');
+}
+
+/**
+ * Call `callback(err, sessions)` after every refresh: as soon as a local
+ * session store or transcript changes, and at least every `interval` ms.
+ * Takes the listSessions options plus `interval` (ms, default 2000).
+ * @returns {function} stop
+ */
+function watchSessions(callback, options = {}) {
+  let stopped = false;
+
+  const scheduler = scheduleRefreshes(async () => {
+    try {
+      const sessions = await listSessions(options);
+      if (!stopped) callback(null, sessions);
+    } catch (err) {
+      if (!stopped) callback(err);
+    }
+  }, options.interval || 2000, err => {
+    if (!stopped) callback(err);
+  });
+  const feed = createChangeFeed(scheduler.trigger, { stateDir: getStateDir(), agents: toList(options.agent) });
+
+  return function stop() {
+    stopped = true;
+    scheduler.stop();
+    feed.close();
+  };
+}
+
+// Token growth rate (tokens/sec, capped at 100) between two samples of a session
+function calculateCpuUsage(session, prevSession, elapsedMs) {
+  if (!session || !prevSession || elapsedMs < 500) return 0;
+  const currTokens = session.totalTokens || 0;
+  const prevTokens = prevSession.totalTokens || 0;
+  const diff = currTokens - prevTokens;
+  if (diff <= 0) return 0;
+  const tps = diff / (elapsedMs / 1000);
+  return Math.min(100, tps);
+}
+
+function formatDuration(ms) {
+  if (!ms || ms < 0) return '0s';
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d${hours % 24}h`;
+  if (hours > 0) return `${hours}h${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0B';
+  const units = ['B', 'K', 'M', 'G'];
+  let idx = 0;
+  while (bytes >= 1024 && idx < units.length - 1) {
+    bytes /= 1024;
+    idx++;
+  }
+  return `${Math.round(bytes)}${units[idx]}`;
+}
+
+// Token counts in decimal units: 950, 1.5K, 250K, 1.2M
+function formatTokens(tokens) {
+  if (!tokens) return '0';
+  if (tokens < 1000) return String(Math.round(tokens));
+  const units = ['K', 'M', 'B'];
+  let value = tokens / 1000;
+  let idx = 0;
+  // Bump 999.6K to 1M rather than printing 1000K
+  while (value >= 999.5 && idx < units.length - 1) {
+    value /= 1000;
+    idx++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0).replace(/\.0$/, '')}${units[idx]}`;
+}
+
+function getAgentName(session) {
+  // Extract agent name from session key or display name
+  if (session.displayName) {
+    // Clean up the display name with the nameRewrites rules
+    return applyRules(getDisplaySettings().nameRewrites, session.displayName);
+  }
+  const parts = session.key?.split(':') || [];
+  return parts[parts.length - 1] || 'unknown';
+}
+
+function getModelShort(model) {
+  if (!model) return '-';
+  return applyRules(getDisplaySettings().modelAliases, model).substring(0, 20);
+}
+
+// Channel name with its configured icon, if any
+function formatChannel(channel) {
+  const icon = getDisplaySettings().channelIcons[channel];
+  return icon ? `${icon} ${channel}` : channel;
+}
+
+module.exports = {
+  SOURCES,
+  setDebugLogger,
+  loadConfig,
+  readOpenclawConfig,
+  loadDisplaySettings,
+  getDisplaySettings,
+  parseGatewayUrl,
+  isValidPort,
+  getStateDir,
+  getConfigDir,
+  getSessionStores,
+  getSessionsFromFile,
+  getSessionsFromGateway,
+  gatewayRequest,
+  invokeTool,
+  checkGatewayHealth,
+  fetchSessions,
+  listSessions,
+  classifyStatus,
+  globToRegExp,
+  filterSessions,
+  watchSessions,
+  calculateCpuUsage,
+  formatDuration,
+  formatBytes,
+  formatTokens,
+  getAgentName,
+  getModelShort,
+  formatChannel,
+};
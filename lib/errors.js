@@ -0,0 +1,186 @@
+/**
+ * Typed errors for the ways fetching sessions can fail, each with a `code`
+ * and the exit status clawps uses for it.
+ */
+
+class ClawError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] extra properties (e.g. `path`, `address`), plus
+   *   an optional `cause`
+   */
+  constructor(message, details = {}) {
+    const { cause, ...rest } = details;
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    Object.assign(this, rest);
+  }
+}
+
+// No sessions.json under the state directory
+class StoreNotFoundError extends ClawError {
+  code = 'STORE_NOT_FOUND';
+  exitCode = 2;
+}
+
+// A session store (or the directory holding it) exists but can't be read
+class StoreUnreadableError extends ClawError {
+  code = 'STORE_UNREADABLE';
+  exitCode = 3;
+}
+
+// A sessions.json that isn't valid JSON; has `path`, `line` and `column`
+class StoreParseError extends ClawError {
+  code = 'STORE_PARSE_ERROR';
+  exitCode = 4;
+}
+
+// The gateway did not answer (refused, DNS, TLS, timeout); has `address`
+class GatewayUnreachableError extends ClawError {
+  code = 'GATEWAY_UNREACHABLE';
+  exitCode = 5;
+}
+
+// The gateway rejected the token; has `address` and `statusCode`
+class GatewayAuthError extends ClawError {
+  code = 'GATEWAY_AUTH_FAILED';
+  exitCode = 6;
+}
+
+// Where and why `text` stops being valid JSON: `{ offset, reason }`, or null
+// if it parses. JSON.parse's messages differ between Node versions (newer
+// ones give no position and quote the input instead), so the text is
+// scanned again here.
+function findJsonError(text) {
+  let i = 0;
+  const fail = reason => {
+    throw { offset: i, reason };
+  };
+  const unexpected = () => fail(i >= text.length ? 'unexpected end of input' : `unexpected '${text[i]}'`);
+  const skipSpace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+
+  const string = () => {
+    i++; // opening quote
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '"') {
+        i++;
+        return;
+      }
+      if (ch === '\\') {
+        if (/^u[0-9a-fA-F]{4}/.test(text.slice(i + 1, i + 6))) i += 6;
+        else if ('"\\/bfnrt'.includes(text[i + 1]) && i + 1 < text.length) i += 2;
+        else fail('invalid escape in string');
+      } else if (ch < ' ') {
+        fail('control character in string');
+      } else {
+        i++;
+      }
+    }
+    fail('unterminated string');
+  };
+
+  const value = () => {
+    skipSpace();
+    const ch = text[i];
+    if (ch === '{' || ch === '[') {
+      const close = ch === '{' ? '}' : ']';
+      i++;
+      skipSpace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (close === '}') {
+          skipSpace();
+          if (text[i] !== '"') fail(i >= text.length ? 'unexpected end of input' : 'expected a property name in double quotes');
+          string();
+          skipSpace();
+          if (text[i] !== ':') fail("expected ':' after property name");
+          i++;
+        }
+        value();
+        skipSpace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] === close) {
+          i++;
+          return;
+        } else {
+          fail(i >= text.length ? 'unexpected end of input' : `expected ',' or '${close}'`);
+        }
+      }
+    }
+    if (ch === '"') return string();
+    const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    number.lastIndex = i;
+    if (number.test(text)) {
+      i = number.lastIndex;
+      return;
+    }
+    const literal = ['true', 'false', 'null'].find(word => text.startsWith(word, i));
+    if (literal) {
+      i += literal.length;
+      return;
+    }
+    unexpected();
+  };
+
+  try {
+    value();
+    skipSpace();
+    if (i < text.length) unexpected();
+    return null;
+  } catch (err) {
+    if (typeof err.offset !== 'number') throw err;
+    return err;
+  }
+}
+
+/**
+ * Turn a JSON.parse error for `text` into a StoreParseError with the line
+ * and column of the problem.
+ * @param {Error} err from JSON.parse
+ * @param {string} text the input that failed to parse
+ * @param {string} filePath
+ * @param {string} label how to name the file in the message
+ */
+function toParseError(err, text, filePath, label) {
+  let line = 1;
+  let column = 1;
+  let what = 'empty';
+  if (text.trim() !== '') {
+    const found = findJsonError(text);
+    if (found) {
+      const before = text.slice(0, found.offset);
+      line = before.split('\n').length;
+      column = before.length - before.lastIndexOf('\n');
+      what = found.reason;
+    } else {
+      // Parses here but not for JSON.parse; keep its message without the input
+      line = null;
+      what = err.message.split('\n')[0].replace(/, ".*$|\s*in JSON at position.*$/, '');
+    }
+  }
+  const where = line === null ? '' : ` at line ${line}, column ${column}`;
+  return new StoreParseError(`${label} is not valid JSON${where} (${what})`, {
+    path: filePath,
+    line,
+    column: line === null ? null : column,
+    cause: err,
+  });
+}
+
+module.exports = {
+  ClawError,
+  StoreNotFoundError,
+  StoreUnreadableError,
+  StoreParseError,
+  GatewayUnreachableError,
+  GatewayAuthError,
+  findJsonError,
+  toParseError,
+};
@@ -0,0 +1,155 @@
+/**
+ * Filter expressions shared by `clawps --filter`, `clawtop --filter` and
+ * clawtop's `f` key, and the text search behind clawtop's `/`.
+ *
+ * An expression is a list of terms separated by spaces, all of which must
+ * match, e.g. `channel=telegram kind=cron ctx>80%`:
+ *
+ *   field=value, field!=value  name, key, agent, channel, kind, model or status;
+ *                              * and ? wildcards, a,b for either
+ *   field>n (>=, <, <=, =)     ctx (percent), tokens (250K, 1.5M), idle (90s,
+ *                              10m, 2h, 1d; bare numbers are seconds), rate
+ *   aborted, alerting          flags
+ *   text                       name, key, channel or model contains it
+ *   !term                      the opposite of any of the above: !aborted,
+ *                              !kind=cron, !ctx>80%
+ *
+ * Values with spaces go in double quotes: name="Kevin Smith".
+ */
+
+const { classifyStatus, getAgentName, globToRegExp } = require('./core');
+const { getContextUsage } = require('./context');
+
+const TEXT_FIELDS = {
+  name: s => getAgentName(s),
+  key: s => s.key,
+  agent: s => s.agentId,
+  channel: s => s.channel,
+  kind: s => s.kind,
+  model: s => s.model,
+  status: (s, now) => classifyStatus(s, now),
+};
+
+const SUFFIXES = {
+  tokens: { k: 1e3, m: 1e6, b: 1e9 },
+  idle: { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 },
+};
+
+// Numeric fields; `value` is null when not known, which matches nothing
+const NUMERIC_FIELDS = {
+  ctx: { value: s => getContextUsage(s).percent, units: { '%': 1 } },
+  tokens: { value: s => s.totalTokens || 0, units: SUFFIXES.tokens },
+  idle: { value: (s, now) => now - (s.updatedAt || 0), units: SUFFIXES.idle, bare: 1000 },
+  rate: { value: s => s.tokenRate || 0, units: {} },
+};
+
+const FLAGS = {
+  aborted: s => Boolean(s.abortedLastRun),
+  alerting: s => Boolean(s.alerts && s.alerts.length > 0),
+};
+
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+};
+
+/**
+ * Whether `query` appears (case-insensitively) in the session's name, key,
+ * channel or model. An empty query matches nothing.
+ */
+function matchesSearch(session, query) {
+  const needle = String(query || '').toLowerCase();
+  if (!needle) return false;
+  return [getAgentName(session), session.key, session.channel, session.model]
+    .some(value => String(value || '').toLowerCase().includes(needle));
+}
+
+// Split on spaces outside double quotes, dropping the quotes
+function tokenize(text) {
+  return (String(text).match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(token => token.replace(/"/g, ''));
+}
+
+function parseNumber(field, raw, term) {
+  const { units, bare = 1 } = NUMERIC_FIELDS[field];
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z%]*)$/i.exec(raw);
+  const unit = match ? match[2].toLowerCase() : '';
+  if (!match || (unit && !units[unit])) {
+    const accepted = Object.keys(units).length > 0 ? ` (units: ${Object.keys(units).join(', ')})` : '';
+    throw new Error(`Invalid number in filter term '${term}'${accepted}`);
+  }
+  return parseFloat(match[1]) * (unit ? units[unit] : bare);
+}
+
+// `original` is the term as written, with any leading !, for error messages
+function parseTerm(term, original = term) {
+  if (term.startsWith('!') && term.length > 1) {
+    const test = parseTerm(term.slice(1), original);
+    return (s, now) => !test(s, now);
+  }
+  if (FLAGS[term.toLowerCase()]) {
+    return FLAGS[term.toLowerCase()];
+  }
+
+  const match = /^([a-z]+)(!=|>=|<=|=|>|<)(.*)$/i.exec(term);
+  if (!match) {
+    return s => matchesSearch(s, term);
+  }
+  const [, rawField, op, value] = match;
+  const field = rawField.toLowerCase();
+
+  if (TEXT_FIELDS[field]) {
+    if (op !== '=' && op !== '!=') {
+      throw new Error(`Filter term '${original}': ${field} only takes = or !=`);
+    }
+    const patterns = value.split(',').filter(Boolean).map(globToRegExp);
+    const matches = (s, now) => {
+      const text = String(TEXT_FIELDS[field](s, now) || '');
+      // Models match with or without their provider prefix, as with --model
+      const candidates = field === 'model' ? [text, text.split('/').pop()] : [text];
+      return patterns.some(re => candidates.some(candidate => re.test(candidate)));
+    };
+    return op === '=' ? matches : (s, now) => !matches(s, now);
+  }
+
+  if (NUMERIC_FIELDS[field]) {
+    const limit = parseNumber(field, value, original);
+    const compare = COMPARATORS[op];
+    return (s, now) => {
+      const actual = NUMERIC_FIELDS[field].value(s, now);
+      return actual !== null && compare(actual, limit);
+    };
+  }
+
+  const fields = [...Object.keys(TEXT_FIELDS), ...Object.keys(NUMERIC_FIELDS)].join(', ');
+  throw new Error(`Unknown field '${rawField}' in filter term '${original}' (fields: ${fields})`);
+}
+
+/**
+ * Parse a filter expression.
+ * @param {string} text e.g. 'channel=telegram ctx>80%'
+ * @returns {{text: string, fields: string[], test: function(object, number=): boolean}}
+ *   `fields` are the fields the expression names; an empty expression
+ *   matches every session
+ * @throws {Error} on an unknown field, operator or value
+ */
+function parseFilter(text) {
+  const terms = tokenize(text);
+  const tests = terms.map(term => parseTerm(term));
+  return {
+    text: String(text).trim(),
+    fields: terms
+      .map(term => (/^!*([a-z]+)(?:!=|>=|<=|=|>|<)/i.exec(term) || [])[1])
+      .filter(Boolean)
+      .map(field => field.toLowerCase()),
+    test: (session, now = Date.now()) => tests.every(test => test(session, now)),
+  };
+}
+
+module.exports = {
+  parseFilter,
+  matchesSearch,
+};
@@ -0,0 +1,93 @@
+/**
+ * Per-session samples kept by clawtop for the length of a run: context
+ * tokens and token rate at every refresh, in fixed-size ring buffers, plus
+ * the totals across all sessions for the throughput chart.
+ */
+
+const { getContextUsage } = require('./context');
+
+/**
+ * Fixed-capacity buffer that drops its oldest item when full.
+ * @param {number} capacity
+ * @returns {{push: function(*): void, toArray: function(): Array, last: function(): *,
+ *   clear: function(): void, length: number}}
+ */
+function createRingBuffer(capacity) {
+  const items = new Array(capacity);
+  let start = 0; // index of the oldest item
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+    push(item) {
+      items[(start + length) % capacity] = item;
+      if (length < capacity) length++;
+      else start = (start + 1) % capacity;
+    },
+    // Items oldest first
+    toArray() {
+      const out = [];
+      for (let i = 0; i < length; i++) out.push(items[(start + i) % capacity]);
+      return out;
+    },
+    last() {
+      return length > 0 ? items[(start + length - 1) % capacity] : undefined;
+    },
+    clear() {
+      start = 0;
+      length = 0;
+    },
+  };
+}
+
+/**
+ * Samples per session key and in total, one per `record()`. A session's
+ * samples are forgotten once a `record()` doesn't include it.
+ * Session samples are `{ time, tokens, max, rate }` (`rate` is the session's
+ * `tokenRate`, tokens/sec); total samples are `{ time, tokens, rate, sessions }`.
+ * @param {{capacity?: number}} [options] samples kept per session (default 500)
+ */
+function createSessionHistory({ capacity = 500 } = {}) {
+  const bySession = new Map(); // key -> ring buffer
+  const totals = createRingBuffer(capacity);
+
+  return {
+    record(sessions, now = Date.now()) {
+      let tokens = 0;
+      let rate = 0;
+      for (const s of sessions) {
+        const usage = getContextUsage(s);
+        if (!bySession.has(s.key)) bySession.set(s.key, createRingBuffer(capacity));
+        bySession.get(s.key).push({ time: now, tokens: usage.tokens, max: usage.max, rate: s.tokenRate || 0 });
+        tokens += usage.tokens;
+        rate += s.tokenRate || 0;
+      }
+      totals.push({ time: now, tokens, rate, sessions: sessions.length });
+      // Drop sessions that are gone, so short-lived keys (cron runs) don't
+      // keep a buffer each for the rest of the run
+      const present = new Set(sessions.map(s => s.key));
+      for (const key of bySession.keys()) {
+        if (!present.has(key)) bySession.delete(key);
+      }
+    },
+    // Samples of one session, oldest first
+    get(key) {
+      return bySession.has(key) ? bySession.get(key).toArray() : [];
+    },
+    // Totals across sessions, oldest first
+    totals() {
+      return totals.toArray();
+    },
+    clear() {
+      bySession.clear();
+      totals.clear();
+    },
+  };
+}
+
+module.exports = {
+  createRingBuffer,
+  createSessionHistory,
+};
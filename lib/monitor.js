@@ -0,0 +1,170 @@
+/**
+ * Refresh loop shared by clawtop and clawwatch, and the session events
+ * (created, idle, stale, context threshold, aborted, removed) clawwatch emits.
+ */
+
+const { loadConfig, fetchSessions, classifyStatus, calculateCpuUsage } = require('./core');
+const { evaluateAlerts } = require('./alerts');
+const { getContextUsage } = require('./context');
+const { attachTranscriptStats } = require('./transcript');
+const { sessionRecord } = require('./output');
+
+const EVENT_TYPES = [
+  'session-created',
+  'session-went-idle',
+  'session-went-stale',
+  'context-threshold-crossed',
+  'aborted',
+  'session-removed',
+];
+
+const DEFAULT_THRESHOLDS = [80, 90, 100];
+
+/**
+ * Create a refresher that remembers the previous refresh for token rates.
+ * Each `refresh()` fetches the sessions, sets `tokenRate` and `alerts` on
+ * them, drops stale ones (unless `all`, overdue cron sessions are kept) and
+ * attaches transcript stats.
+ * @param {object} [options]
+ * @param {object} [options.config] gateway config (default: loadConfig())
+ * @param {string[]} [options.agents]
+ * @param {string} [options.source] 'gateway', 'file' or 'auto'
+ * @param {boolean} [options.all] keep stale sessions
+ * @param {object[]} [options.alertRules] from parseAlertRules
+ * @param {boolean} [options.transcripts=true] read transcript stats
+ * @returns {{refresh: function(): Promise<{source: string|null, sessions: object[], error: string|null,
+ *   warnings: string[], now: number}>}} `warnings` as from fetchSessions
+ */
+function createSessionRefresher(options = {}) {
+  const {
+    config = loadConfig(),
+    agents = [],
+    source = 'auto',
+    all = false,
+    alertRules = [],
+    transcripts = true,
+  } = options;
+  let prevSessions = [];
+  let lastTime = Date.now();
+
+  return {
+    async refresh() {
+      const now = Date.now();
+      // Rates are over the time since the sample in prevSessions
+      const elapsed = now - lastTime;
+
+      let sessions = [];
+      let currentSource = null;
+      let error = null;
+      let warnings = [];
+      try {
+        const result = await fetchSessions({ agent: agents, source, config });
+        sessions = result.sessions;
+        currentSource = result.source;
+        warnings = result.warnings;
+      } catch (err) {
+        error = err.message;
+      }
+
+      sessions.forEach(s => {
+        s.tokenRate = calculateCpuUsage(s, prevSessions.find(p => p.key === s.key), elapsed);
+      });
+      if (!error) {
+        prevSessions = sessions;
+        lastTime = now;
+      }
+      evaluateAlerts(sessions, alertRules, { now });
+
+      // Overdue cron sessions stay, being idle is what is wrong with them
+      if (!all) {
+        sessions = sessions.filter(s =>
+          classifyStatus(s, now) !== 'stale' || s.alerts.some(a => a.rule === 'overdue'));
+      }
+      if (transcripts) attachTranscriptStats(sessions);
+      return { source: currentSource, sessions, error, warnings, now };
+    },
+  };
+}
+
+// Highest threshold the session's context usage has reached, or 0
+function thresholdReached(s, thresholds) {
+  const pct = getContextUsage(s).percent || 0;
+  return thresholds.filter(t => pct >= t).reduce((max, t) => Math.max(max, t), 0);
+}
+
+/**
+ * Compare sessions with the state left by the previous call and list what
+ * changed. The state is plain JSON so it can be saved between runs.
+ * A `null` state (first refresh) records a baseline without events.
+ * @param {object|null} state previous state, `{ sessions: { [key]: ... } }`
+ * @param {object[]} sessions current sessions (stale ones included)
+ * @param {{thresholds?: number[], now?: number}} [options]
+ * @returns {{events: object[], state: object}}
+ */
+function diffSessions(state, sessions, options = {}) {
+  const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+  const now = options.now || Date.now();
+  const previous = state ? state.sessions : null;
+  const next = {};
+  const events = [];
+
+  const emit = (event, session, details = {}) => {
+    events.push({
+      time: new Date(now).toISOString(),
+      event,
+      key: session.key,
+      ...details,
+      session: sessionRecord(session, now),
+    });
+  };
+
+  sessions.forEach(s => {
+    const current = {
+      status: classifyStatus(s, now),
+      threshold: thresholdReached(s, thresholds),
+      aborted: Boolean(s.abortedLastRun),
+      record: sessionRecord(s, now),
+    };
+    next[s.key] = current;
+    if (!previous) return;
+
+    const before = previous[s.key];
+    if (!before) {
+      emit('session-created', s);
+    } else if (current.status !== before.status) {
+      if (current.status === 'idle' && before.status === 'active') emit('session-went-idle', s);
+      if (current.status === 'stale') emit('session-went-stale', s);
+    }
+    // Only upward crossings; dropping back (e.g. after a compaction) re-arms them
+    if (current.threshold > (before ? before.threshold : 0)) {
+      emit('context-threshold-crossed', s, {
+        threshold: current.threshold,
+        contextPercent: Math.round(getContextUsage(s).percent),
+      });
+    }
+    if (current.aborted && !(before && before.aborted)) {
+      emit('aborted', s);
+    }
+  });
+
+  if (previous) {
+    Object.keys(previous).forEach(key => {
+      if (next[key]) return;
+      events.push({
+        time: new Date(now).toISOString(),
+        event: 'session-removed',
+        key,
+        session: previous[key].record,
+      });
+    });
+  }
+
+  return { events, state: { time: now, sessions: next } };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_THRESHOLDS,
+  createSessionRefresher,
+  diffSessions,
+};
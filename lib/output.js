@@ -0,0 +1,124 @@
+/**
+ * Machine-readable session output shared by clawps and clawtop:
+ * json, ndjson, csv, tsv and Prometheus exposition text.
+ */
+
+const { classifyStatus } = require('./core');
+const { getContextWindow, getContextUsage } = require('./context');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'tsv', 'prom'];
+
+// Columns written by csv/tsv, in order
+const RECORD_FIELDS = [
+  'key', 'agentId', 'displayName', 'status', 'channel', 'kind', 'model',
+  'contextTokens', 'contextWindow', 'contextPercent', 'idleSeconds',
+  'tokenRate', 'updatedAt', 'sessionId', 'source',
+];
+
+// Flatten a session into the scalar fields used by csv/tsv
+function sessionRecord(s, now = Date.now()) {
+  const { tokens: contextTokens, max: contextWindow, percent } = getContextUsage(s);
+  return {
+    key: s.key,
+    agentId: s.agentId,
+    displayName: s.displayName,
+    status: classifyStatus(s, now),
+    channel: s.channel,
+    kind: s.kind,
+    model: s.model,
+    contextTokens,
+    contextWindow,
+    contextPercent: percent === null ? '' : Math.round(percent),
+    idleSeconds: Math.max(0, Math.floor((now - (s.updatedAt || 0)) / 1000)),
+    tokenRate: Number((s.tokenRate || 0).toFixed(2)),
+    updatedAt: s.updatedAt ? new Date(s.updatedAt).toISOString() : '',
+    sessionId: s.sessionId,
+    source: s.source || '',
+  };
+}
+
+function csvCell(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function tsvCell(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return str.replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Render sessions as csv or tsv rows.
+ * @param {{header?: boolean, now?: number}} [options] header defaults to true
+ */
+function formatDelimited(sessions, format, { header = true, now = Date.now() } = {}) {
+  const sep = format === 'tsv' ? '\t' : ',';
+  const cell = format === 'tsv' ? tsvCell : csvCell;
+  const lines = sessions.map(s => {
+    const record = sessionRecord(s, now);
+    return RECORD_FIELDS.map(f => cell(record[f])).join(sep);
+  });
+  if (header) lines.unshift(RECORD_FIELDS.join(sep));
+  return lines.join('\n');
+}
+
+function promLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+const PROM_GAUGES = [
+  ['openclaw_session_context_tokens', 'Tokens currently in the session context', s => s.totalTokens || 0],
+  ['openclaw_session_context_window', 'Context window size of the session model in tokens', getContextWindow],
+  ['openclaw_session_idle_seconds', 'Seconds since the session was last updated', (s, now) => Math.max(0, (now - (s.updatedAt || 0)) / 1000)],
+  ['openclaw_session_token_rate', 'Context growth in tokens per second since the previous refresh', s => s.tokenRate || 0],
+];
+
+// Render sessions as Prometheus exposition text, one gauge per session
+function formatPrometheus(sessions, { now = Date.now() } = {}) {
+  const lines = [];
+  for (const [name, help, value] of PROM_GAUGES) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    for (const s of sessions) {
+      const labels = `key="${promLabel(s.key)}",channel="${promLabel(s.channel)}",kind="${promLabel(s.kind)}",model="${promLabel(s.model)}"`;
+      lines.push(`${name}{${labels}} ${Number(value(s, now).toFixed(3))}`);
+    }
+  }
+  lines.push('# HELP openclaw_sessions Number of sessions reported');
+  lines.push('# TYPE openclaw_sessions gauge');
+  lines.push(`openclaw_sessions ${sessions.length}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render one refresh in the given format.
+ * @param {object[]} sessions
+ * @param {'json'|'ndjson'|'csv'|'tsv'|'prom'} format
+ * @param {{source?: string, now?: number, header?: boolean}} [options]
+ *   ndjson writes one line per refresh: { time, source, sessions }
+ */
+function formatSessions(sessions, format, options = {}) {
+  const now = options.now || Date.now();
+  switch (format) {
+    case 'json':
+      return JSON.stringify(sessions, null, 2);
+    case 'ndjson':
+      return JSON.stringify({ time: new Date(now).toISOString(), source: options.source, sessions });
+    case 'csv':
+    case 'tsv':
+      return formatDelimited(sessions, format, { header: options.header, now });
+    case 'prom':
+      return formatPrometheus(sessions, { now }).trimEnd();
+    default:
+      throw new Error(`Unknown format '${format}' (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  RECORD_FIELDS,
+  sessionRecord,
+  formatDelimited,
+  formatPrometheus,
+  formatSessions,
+};
@@ -0,0 +1,109 @@
+/**
+ * clawtop's saved preferences: clawtop.json in the clawps config directory
+ * ($XDG_CONFIG_HOME/clawps or ~/.config/clawps), written by clawtop's `W`
+ * key, like top's `W`.
+ *
+ * Top-level keys are the default setup. Named setups, chosen with
+ * `clawtop --profile <name>`, live under `profiles` and are applied over it:
+ *
+ *   { "sortBy": "ctx", "delay": 5,
+ *     "profiles": { "cost": { "sortBy": "tokens", "filter": "tokens>100K" } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir } = require('./core');
+
+// Saved keys and their JSON types; anything else in the file is ignored
+const PREF_TYPES = {
+  sortBy: 'string',
+  reverse: 'boolean',
+  delay: 'number',
+  showAll: 'boolean',
+  showSystem: 'boolean',
+  tree: 'boolean',
+  graph: 'boolean',
+  filter: 'string',
+  columns: 'array',
+  color: 'string',
+  theme: 'string',
+};
+
+function getPrefsFile() {
+  return path.join(getConfigDir(), 'clawtop.json');
+}
+
+// The file's contents ({} when missing). A broken file is reported and
+// skipped, or with `strict`, throws so it isn't overwritten.
+function readPrefsFile(file, { strict = false } = {}) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    if (strict) throw new Error(`Not overwriting ${file}: ${err.message}`);
+    console.error(`Ignoring ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+// The known keys of `prefs` with the right type, reporting the others
+function pickPrefs(prefs, file) {
+  const picked = {};
+  for (const [key, type] of Object.entries(PREF_TYPES)) {
+    if (prefs[key] === undefined) continue;
+    const ok = type === 'array' ? Array.isArray(prefs[key]) : typeof prefs[key] === type;
+    if (ok) {
+      picked[key] = prefs[key];
+    } else {
+      console.error(`Ignoring '${key}' in ${file}: expected a${type === 'array' ? 'n' : ''} ${type}`);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Load saved preferences, with `profile`'s settings over the defaults.
+ * A missing file or profile gives `{}`; an unreadable file or a value of the
+ * wrong type is reported on stderr and skipped.
+ * @param {string|null} [profile]
+ * @param {string} [file] default: getPrefsFile()
+ * @returns {object} some of sortBy, reverse, delay, showAll, showSystem, tree,
+ *   graph, filter, columns, color and theme
+ */
+function loadPrefs(profile = null, file = getPrefsFile()) {
+  const data = readPrefsFile(file);
+  const named = profile && data.profiles && data.profiles[profile];
+  return { ...pickPrefs(data, file), ...pickPrefs(named || {}, file) };
+}
+
+/**
+ * Save preferences as the defaults, or as `profile`, keeping everything else
+ * in the file. Written to a temporary file first so a crash can't leave it
+ * half-written.
+ * @param {object} prefs
+ * @param {string|null} [profile]
+ * @param {string} [file] default: getPrefsFile()
+ * @returns {string} the file written
+ * @throws {Error} when the file can't be written, or holds invalid JSON
+ */
+function savePrefs(prefs, profile = null, file = getPrefsFile()) {
+  const data = readPrefsFile(file, { strict: true });
+  const picked = pickPrefs(prefs, file);
+  if (profile) {
+    data.profiles = { ...data.profiles, [profile]: picked };
+  } else {
+    Object.assign(data, picked);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+module.exports = {
+  getPrefsFile,
+  loadPrefs,
+  savePrefs,
+};
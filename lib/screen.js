@@ -0,0 +1,111 @@
+/**
+ * Full-screen terminal output for clawtop: draws whole frames on the
+ * alternate screen buffer, rewriting only the lines that changed since the
+ * previous frame, so a refresh doesn't flicker and the shell's scrollback is
+ * left as it was on exit.
+ */
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Terminal width of a string, ignoring colour codes
+function visibleLength(text) {
+  return [...String(text).replace(ANSI_PATTERN, '')].length;
+}
+
+/**
+ * Cut a string with colour codes to `width` visible characters. Codes are
+ * kept, and a reset is added when the cut may have left a colour open.
+ */
+function truncateAnsi(text, width) {
+  const str = String(text);
+  if (visibleLength(str) <= width) return str;
+  let out = '';
+  let visible = 0;
+  let i = 0;
+  while (i < str.length && visible < width) {
+    if (str[i] === '\x1b') {
+      const match = /^\x1b\[[0-9;?]*[A-Za-z]/.exec(str.slice(i));
+      if (match) {
+        out += match[0];
+        i += match[0].length;
+        continue;
+      }
+    }
+    const char = String.fromCodePoint(str.codePointAt(i));
+    out += char;
+    i += char.length;
+    visible++;
+  }
+  return out + '\x1b[0m';
+}
+
+// Pad with spaces (or cut) to exactly `width` visible characters
+function padAnsi(text, width) {
+  const str = truncateAnsi(text, width);
+  return str + ' '.repeat(Math.max(0, width - visibleLength(str)));
+}
+
+/**
+ * Frame-diffing screen on `stream` (a TTY write stream).
+ * @param {NodeJS.WriteStream} [stream=process.stdout]
+ * @returns {{enter: function, leave: function, draw: function(string[]): void,
+ *   invalidate: function, columns: number, rows: number}}
+ *   `draw(lines)` shows one frame, cut to the terminal size; `invalidate()`
+ *   makes the next draw repaint everything (e.g. after a resize)
+ */
+function createScreen(stream = process.stdout) {
+  let previous = null; // lines on screen, null when unknown
+  let active = false;
+
+  return {
+    get columns() {
+      return stream.columns || 80;
+    },
+    get rows() {
+      return stream.rows || 24;
+    },
+
+    // Switch to the alternate screen and hide the cursor
+    enter() {
+      if (active) return;
+      active = true;
+      previous = null;
+      stream.write('\x1b[?1049h\x1b[?25l');
+    },
+
+    // Back to the normal screen, as it was before enter()
+    leave() {
+      if (!active) return;
+      active = false;
+      stream.write('\x1b[0m\x1b[?25h\x1b[?1049l');
+    },
+
+    invalidate() {
+      previous = null;
+    },
+
+    draw(lines) {
+      const { columns, rows } = this;
+      const frame = lines.slice(0, rows).map(line => truncateAnsi(line, columns));
+      let out = previous ? '' : '\x1b[2J';
+      const old = previous || [];
+      for (let i = 0; i < Math.max(frame.length, old.length); i++) {
+        const line = frame[i] ?? '';
+        if (previous && line === old[i]) continue;
+        out += `\x1b[${i + 1};1H\x1b[0m${line}\x1b[0m`;
+        // A full-width line leaves the cursor on its last character, which
+        // erasing to the end of the line would clear
+        if (visibleLength(line) < columns) out += '\x1b[K';
+      }
+      if (out) stream.write(out);
+      previous = frame;
+    },
+  };
+}
+
+module.exports = {
+  visibleLength,
+  truncateAnsi,
+  padAnsi,
+  createScreen,
+};
@@ -0,0 +1,236 @@
+/**
+ * Colour themes shared by the claw* tools, and the decision whether to
+ * colour at all: --color=auto|always|never, NO_COLOR, FORCE_COLOR, whether
+ * stdout is a terminal, and how many colours it can show.
+ *
+ * A theme maps roles to styles. Most roles are named after the colour the
+ * default theme gives them (`cyan` for labels, `gray` for secondary text);
+ * `active`, `idle` and `stale` colour session statuses, `alert` alerting
+ * sessions, and `ok`, `warn` and `critical` the context usage bands. A style
+ * is a space-separated list of attributes (bold, dim, underline, inverse) and
+ * at most one colour: a basic name such as `green` or `brightRed`, or
+ * `#rrggbb`, shown as is on truecolor terminals and as the nearest colour on
+ * the others.
+ */
+
+const COLOR_MODES = ['auto', 'always', 'never'];
+
+// SGR codes for the 16 basic colours, with the RGB values used to pick the
+// nearest one for a #rrggbb colour on a 16-colour terminal
+const BASIC_COLORS = {
+  black: [30, [0, 0, 0]],
+  red: [31, [170, 0, 0]],
+  green: [32, [0, 170, 0]],
+  yellow: [33, [170, 85, 0]],
+  blue: [34, [0, 0, 170]],
+  magenta: [35, [170, 0, 170]],
+  cyan: [36, [0, 170, 170]],
+  white: [37, [170, 170, 170]],
+  gray: [90, [85, 85, 85]],
+  brightRed: [91, [255, 85, 85]],
+  brightGreen: [92, [85, 255, 85]],
+  brightYellow: [93, [255, 255, 85]],
+  brightBlue: [94, [85, 85, 255]],
+  brightMagenta: [95, [255, 85, 255]],
+  brightCyan: [96, [85, 255, 255]],
+  brightWhite: [97, [255, 255, 255]],
+};
+
+const ATTRIBUTES = { bold: 1, dim: 2, underline: 4, inverse: 7 };
+
+const DEFAULT_THEME = {
+  bright: 'bold',
+  dim: 'dim',
+  inverse: 'inverse',
+  underline: 'underline',
+  red: 'red',
+  green: 'green',
+  yellow: 'yellow',
+  blue: 'blue',
+  magenta: 'magenta',
+  cyan: 'cyan',
+  white: 'white',
+  gray: 'gray',
+  active: 'green',
+  idle: 'yellow',
+  stale: 'gray',
+  alert: 'red',
+  ok: 'green',
+  warn: 'yellow',
+  critical: 'red',
+};
+
+// Each theme is the default theme with these roles changed
+const THEMES = {
+  default: {},
+  // Darker colours that stay readable on a white background
+  light: {
+    red: '#af0000',
+    green: '#008700',
+    yellow: '#875f00',
+    blue: '#0000af',
+    magenta: '#870087',
+    cyan: '#005f87',
+    white: 'black',
+    gray: '#626262',
+    active: '#008700',
+    idle: '#875f00',
+    stale: '#626262',
+    alert: '#af0000',
+    ok: '#008700',
+    warn: '#875f00',
+    critical: '#af0000',
+  },
+  // Bright and bold, with no dim or gray text
+  'high-contrast': {
+    dim: '',
+    red: 'bold brightRed',
+    green: 'bold brightGreen',
+    yellow: 'bold brightYellow',
+    blue: 'bold brightBlue',
+    magenta: 'bold brightMagenta',
+    cyan: 'bold brightCyan',
+    white: 'brightWhite',
+    gray: 'white',
+    active: 'bold brightGreen',
+    idle: 'bold brightYellow',
+    stale: 'white',
+    alert: 'bold brightRed',
+    ok: 'bold brightGreen',
+    warn: 'bold brightYellow',
+    critical: 'bold brightRed',
+  },
+  // Attributes only, for terminals (or people) without colour
+  monochrome: {
+    red: 'bold',
+    green: '',
+    yellow: '',
+    blue: '',
+    magenta: '',
+    cyan: '',
+    white: '',
+    gray: 'dim',
+    active: 'bold',
+    idle: '',
+    stale: 'dim',
+    alert: 'bold underline',
+    ok: '',
+    warn: 'bold',
+    critical: 'bold inverse',
+  },
+};
+
+// Colours the terminal can show, from the environment: 4 (16 colours),
+// 8 (256) or 24 (truecolor)
+function getTerminalColorDepth(env) {
+  const forced = { 1: 4, 2: 8, 3: 24 }[env.FORCE_COLOR];
+  if (forced) return forced;
+  if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '')) return 24;
+  if (/256/.test(env.TERM || '')) return 8;
+  // Windows 10 consoles and Windows Terminal take 24-bit colour
+  if (process.platform === 'win32' || env.WT_SESSION) return 24;
+  return 4;
+}
+
+/**
+ * How many colours to use: 0 for none, else 4, 8 or 24 bits.
+ * With `auto`, FORCE_COLOR (1-3, or 0 for none) wins, then NO_COLOR turns
+ * colour off, then it's on for a terminal unless TERM is dumb. `always` and
+ * `never` win over both variables.
+ * @param {{mode?: string, stream?: NodeJS.WriteStream, env?: object}} [options]
+ * @returns {number}
+ */
+function getColorDepth({ mode = 'auto', stream = process.stdout, env = process.env } = {}) {
+  if (mode === 'never') return 0;
+  if (mode === 'auto') {
+    if (env.FORCE_COLOR === '0' || env.FORCE_COLOR === 'false') return 0;
+    if (env.FORCE_COLOR === undefined) {
+      if (env.NO_COLOR) return 0;
+      if (!stream.isTTY || env.TERM === 'dumb') return 0;
+    }
+  }
+  return getTerminalColorDepth(env);
+}
+
+/**
+ * The colour mode given by --color / --no-color in `args`, the last one
+ * winning. A bare --color means always, as with ls; --color followed by a
+ * mode takes it.
+ * @param {string[]} args
+ * @returns {string|null} null when neither is given; may not be a valid mode
+ */
+function getColorModeArg(args) {
+  let mode = null;
+  args.forEach((arg, i) => {
+    if (arg === '--no-color') mode = 'never';
+    else if (arg.startsWith('--color=')) mode = arg.slice('--color='.length);
+    else if (arg === '--color') mode = COLOR_MODES.includes(args[i + 1]) ? args[i + 1] : 'always';
+  });
+  return mode;
+}
+
+// Channel values of the xterm 256-colour cube
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// Nearest xterm 256-colour index for an RGB colour: the grey ramp for greys,
+// else the colour cube
+function rgbTo256([r, g, b]) {
+  if (r === g && g === b) {
+    if (r < 4) return 16;
+    if (r > 246) return 231;
+    return 232 + Math.max(0, Math.min(23, Math.round((r - 8) / 10)));
+  }
+  const level = value => CUBE_LEVELS.reduce((best, cube, i) =>
+    (Math.abs(cube - value) < Math.abs(CUBE_LEVELS[best] - value) ? i : best), 0);
+  return 16 + 36 * level(r) + 6 * level(g) + level(b);
+}
+
+function nearestBasic(rgb) {
+  const distance = other => other.reduce((sum, value, i) => sum + (value - rgb[i]) ** 2, 0);
+  return Object.values(BASIC_COLORS).reduce((best, entry) => (distance(entry[1]) < distance(best[1]) ? entry : best))[0];
+}
+
+// SGR escape for a style at a colour depth, '' for an empty style
+function styleToAnsi(style, depth) {
+  const codes = String(style).split(/\s+/).filter(Boolean).map(token => {
+    if (ATTRIBUTES[token]) return ATTRIBUTES[token];
+    if (BASIC_COLORS[token]) return BASIC_COLORS[token][0];
+    const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(token);
+    if (!hex) throw new Error(`Invalid style '${token}'`);
+    const rgb = hex.slice(1).map(part => parseInt(part, 16));
+    if (depth >= 24) return `38;2;${rgb.join(';')}`;
+    if (depth >= 8) return `38;5;${rgbTo256(rgb)}`;
+    return nearestBasic(rgb);
+  });
+  return codes.length > 0 ? `\x1b[${codes.join(';')}m` : '';
+}
+
+/**
+ * Escape codes for every role of a theme, plus `reset`. At depth 0 all of
+ * them are '', so output built from them has no codes at all.
+ * @param {string} [name] one of THEME_NAMES
+ * @param {number} [depth] from getColorDepth()
+ * @returns {object} role -> escape code
+ * @throws {Error} for an unknown theme
+ */
+function createTheme(name = 'default', depth = 4) {
+  if (!THEME_NAMES.includes(name)) {
+    throw new Error(`unknown theme '${name}' (available: ${THEME_NAMES.join(', ')})`);
+  }
+  const styles = { ...DEFAULT_THEME, ...THEMES[name] };
+  const theme = { reset: depth > 0 ? '\x1b[0m' : '' };
+  for (const [role, style] of Object.entries(styles)) {
+    theme[role] = depth > 0 ? styleToAnsi(style, depth) : '';
+  }
+  return theme;
+}
+
+const THEME_NAMES = Object.keys(THEMES);
+
+module.exports = {
+  COLOR_MODES,
+  THEME_NAMES,
+  getColorDepth,
+  getColorModeArg,
+  createTheme,
+};
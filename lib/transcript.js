@@ -0,0 +1,232 @@
+/**
+ * Session transcript (JSONL) parsing shared by the clawps tools.
+ *
+ * Transcripts are read incrementally: the byte offset reached for each file is
+ * remembered between refreshes so only newly appended lines are parsed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStateDir } = require('./core');
+
+// Transcript path from the session record, else the default store location
+function resolveTranscriptPath(session) {
+  if (session.transcriptPath) return session.transcriptPath;
+  if (!session.sessionId || !session.agentId) return null;
+  return path.join(getStateDir(), 'agents', session.agentId, 'sessions', `${session.sessionId}.jsonl`);
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null) return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Plain text of a message's content (string or list of content blocks)
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join(' ');
+}
+
+function isToolCall(block) {
+  return block && (block.type === 'toolCall' || block.type === 'tool_use' || block.type === 'tool_call');
+}
+
+// Collapse whitespace so a message fits on one line
+function previewText(text, max = 200) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > max ? line.substring(0, max - 1) + '…' : line;
+}
+
+/**
+ * Parse one transcript line into a normalized entry, or null when the line
+ * is not JSON. Entries look like:
+ *   { type: 'session', time }
+ *   { type: 'message', role, text, time, toolCalls: [{name, arguments}], usage, model }
+ *   { type: <other>, time, raw }
+ */
+function parseTranscriptLine(line) {
+  let raw;
+  try {
+    raw = JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+  if (!raw || typeof raw !== 'object') return null;
+
+  // Entries wrap the message ({type: 'message', message: {...}}); older
+  // transcripts store the message object directly
+  const message = raw.message && typeof raw.message === 'object' ? raw.message
+    : (raw.role ? raw : null);
+  const time = parseTime(raw.timestamp ?? message?.timestamp);
+
+  if (!message) {
+    return { type: raw.type || 'unknown', time, raw };
+  }
+
+  const content = Array.isArray(message.content) ? message.content : [];
+  return {
+    type: 'message',
+    role: message.role || 'unknown',
+    text: messageText(message.content),
+    time,
+    toolCalls: content.filter(isToolCall).map(block => ({
+      name: block.name || block.toolName || 'tool',
+      arguments: block.arguments ?? block.input ?? {},
+    })),
+    toolName: message.toolName || null,
+    usage: message.usage || null,
+    model: message.model || null,
+    raw,
+  };
+}
+
+function emptyStats() {
+  return {
+    messages: 0,
+    userMessages: 0,
+    assistantMessages: 0,
+    toolCalls: 0,
+    startedAt: null,
+    firstMessageAt: null,
+    lastMessageAt: null,
+    lastUser: null,
+    lastAssistant: null,
+  };
+}
+
+// Fold one parsed entry into running stats
+function addEntry(stats, entry) {
+  if (entry.type === 'session') {
+    if (stats.startedAt === null) stats.startedAt = entry.time;
+    return;
+  }
+  if (entry.type !== 'message') return;
+
+  stats.toolCalls += entry.toolCalls.length;
+  if (entry.role !== 'user' && entry.role !== 'assistant') return;
+
+  stats.messages++;
+  if (entry.time !== null) {
+    if (stats.firstMessageAt === null) stats.firstMessageAt = entry.time;
+    stats.lastMessageAt = entry.time;
+  }
+  const preview = previewText(entry.text);
+  if (entry.role === 'user') {
+    stats.userMessages++;
+    if (preview) stats.lastUser = preview;
+  } else {
+    stats.assistantMessages++;
+    if (preview) stats.lastAssistant = preview;
+  }
+}
+
+/**
+ * Read the complete lines appended to a file since `state.offset`.
+ * `state` ({ ino, offset, partial }) is updated in place; start with {}.
+ * `partial` holds the bytes after the last newline, undecoded, so a
+ * character split between two reads comes out whole.
+ * A truncated or replaced file is read again from the start, reported as
+ * `reset: true`. Throws if the file can't be read.
+ */
+function readNewLines(filePath, state) {
+  const stat = fs.statSync(filePath);
+  let reset = false;
+  if (state.ino !== stat.ino || stat.size < (state.offset || 0)) {
+    reset = state.ino !== undefined;
+    state.ino = stat.ino;
+    state.offset = 0;
+    state.partial = Buffer.alloc(0);
+  }
+  if (stat.size === state.offset) return { lines: [], reset };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(stat.size - state.offset);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+    state.offset += bytesRead;
+    const data = Buffer.concat([state.partial, buffer.subarray(0, bytesRead)]);
+    // What follows the last newline may be a line that is still being written
+    const end = data.lastIndexOf(0x0a) + 1;
+    state.partial = data.subarray(end);
+    const lines = data.toString('utf8', 0, end).split('\n');
+    return { lines: lines.filter(line => line.trim()), reset };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// path -> { ino, offset, partial, stats }
+const cache = new Map();
+
+/**
+ * Message count, first/last message time, tool-call count and last user /
+ * assistant previews for a transcript file. Returns null if it can't be read.
+ * Only bytes appended since the previous call for the same file are parsed;
+ * a truncated or replaced file is re-read from the start.
+ */
+function readTranscriptStats(filePath) {
+  if (!filePath) return null;
+  const state = cache.get(filePath) || { stats: emptyStats() };
+  cache.set(filePath, state);
+
+  try {
+    const { lines, reset } = readNewLines(filePath, state);
+    if (reset) state.stats = emptyStats();
+    for (const line of lines) {
+      const entry = parseTranscriptLine(line);
+      if (entry) addEntry(state.stats, entry);
+    }
+  } catch (err) {
+    cache.delete(filePath);
+    return null;
+  }
+
+  // A final line without a newline is counted only if it already parses,
+  // and is not committed until its newline arrives
+  const stats = { ...state.stats };
+  const partial = state.partial.toString('utf8');
+  if (partial.trim()) {
+    const entry = parseTranscriptLine(partial);
+    if (entry) addEntry(stats, entry);
+  }
+  return stats;
+}
+
+// Attach transcript stats to each session as `transcript` (null if unreadable).
+// `sessions` is taken to be the whole current list: transcripts of sessions
+// no longer in it are dropped from the cache, so it doesn't grow without end.
+function attachTranscriptStats(sessions) {
+  const paths = new Set();
+  for (const s of sessions) {
+    const filePath = resolveTranscriptPath(s);
+    if (filePath) paths.add(filePath);
+    s.transcript = readTranscriptStats(filePath);
+  }
+  for (const filePath of cache.keys()) {
+    if (!paths.has(filePath)) cache.delete(filePath);
+  }
+  return sessions;
+}
+
+// Session start: first message, else the transcript header time
+function getSessionStart(session) {
+  const t = session.transcript;
+  if (!t) return null;
+  return t.firstMessageAt ?? t.startedAt;
+}
+
+module.exports = {
+  resolveTranscriptPath,
+  parseTranscriptLine,
+  messageText,
+  previewText,
+  readNewLines,
+  readTranscriptStats,
+  attachTranscriptStats,
+  getSessionStart,
+};
@@ -0,0 +1,142 @@
+/**
+ * Session tree for clawps --forest and clawtop's tree view: sessions grouped
+ * by agent, then by the channel they deliver to, with spawned sessions
+ * (sub-agents, isolated cron runs, threads) under the session that started them.
+ *
+ * Structure comes from the session key (agent:<id>:<scope>:...), the
+ * session's `spawnedBy` and its deliveryContext.
+ */
+
+// Key suffixes that make a session the child of the key before them:
+// agent:main:cron:<job>:run:<id>, agent:main:telegram:group:1:topic:<id>
+const CHILD_SUFFIX = /:(run|thread|topic):[^:]+$/;
+
+/**
+ * Split a session key into its agent id and the segments after it.
+ * @returns {{agentId: string|null, scope: string[]}} e.g. 'agent:main:cron:daily'
+ *   gives { agentId: 'main', scope: ['cron', 'daily'] }
+ */
+function parseSessionKey(key) {
+  const parts = String(key || '').split(':');
+  if (parts[0] === 'agent' && parts.length > 2) {
+    return { agentId: parts[1], scope: parts.slice(2) };
+  }
+  return { agentId: null, scope: parts };
+}
+
+/**
+ * Key of the session that spawned `session`, if that session is in `byKey`:
+ * its `spawnedBy`, else the key without a run/thread/topic suffix.
+ * @param {object} session
+ * @param {Map<string, object>} byKey listed sessions by key
+ * @returns {string|null}
+ */
+function getParentKey(session, byKey) {
+  const candidates = [session.spawnedBy, session.key.replace(CHILD_SUFFIX, '')];
+  return candidates.find(key => key && key !== session.key && byKey.has(key)) || null;
+}
+
+// Channel a top-level session is grouped under: where it delivers, else its
+// own channel, else the key scope ('cron', 'subagent', ...)
+function getSessionGroup(session) {
+  if (session.deliveryContext?.channel) return session.deliveryContext.channel;
+  if (session.channel && session.channel !== 'unknown') return session.channel;
+  const { scope } = parseSessionKey(session.key);
+  return scope[0] && scope[0] !== 'main' ? scope[0] : 'unknown';
+}
+
+function createNode(type, label, session = null) {
+  return { type, label, session, children: [], tokens: 0, count: 0 };
+}
+
+// Fill in `tokens` and `count` (sessions in the subtree, itself included)
+function aggregate(node) {
+  node.tokens = node.session ? node.session.totalTokens || 0 : 0;
+  node.count = node.session ? 1 : 0;
+  node.children.forEach(child => {
+    aggregate(child);
+    node.tokens += child.tokens;
+    node.count += child.count;
+  });
+}
+
+/**
+ * Group sessions into agent → channel → session trees. Sessions keep their
+ * order among siblings, and agents and channels come in the order their
+ * first session does, so a sorted list gives a sorted tree.
+ * @param {object[]} sessions
+ * @returns {object[]} agent nodes: `{ type: 'agent'|'channel'|'session', label,
+ *   session, children, tokens, count }`, where `tokens` is the context used by
+ *   every session in the subtree and `count` the number of sessions in it
+ */
+function buildSessionTree(sessions) {
+  const byKey = new Map(sessions.map(s => [s.key, s]));
+  const nodes = new Map(sessions.map(s => [s.key, createNode('session', s.key, s)]));
+  const parents = new Map(sessions.map(s => [s.key, getParentKey(s, byKey)]));
+  const agents = new Map();
+
+  // spawnedBy links can form a loop (A spawned by B, B by A), which would
+  // leave its sessions under each other and under no agent. Walking up from
+  // each session, the one whose parent is already on the path closes the
+  // loop and goes to the top level instead.
+  for (const s of sessions) {
+    const path = new Set([s.key]);
+    for (let key = s.key; parents.get(key);) {
+      const parentKey = parents.get(key);
+      if (path.has(parentKey)) {
+        parents.set(key, null);
+        break;
+      }
+      path.add(parentKey);
+      key = parentKey;
+    }
+  }
+
+  for (const s of sessions) {
+    const parentKey = parents.get(s.key);
+    if (parentKey) {
+      nodes.get(parentKey).children.push(nodes.get(s.key));
+      continue;
+    }
+    const agentId = s.agentId || parseSessionKey(s.key).agentId || '-';
+    if (!agents.has(agentId)) agents.set(agentId, createNode('agent', agentId));
+    const agent = agents.get(agentId);
+    const group = getSessionGroup(s);
+    let channel = agent.children.find(child => child.label === group);
+    if (!channel) {
+      channel = createNode('channel', group);
+      agent.children.push(channel);
+    }
+    channel.children.push(nodes.get(s.key));
+  }
+
+  const roots = [...agents.values()];
+  roots.forEach(aggregate);
+  return roots;
+}
+
+/**
+ * Tree rows in display order, each with its ASCII branch prefix as drawn by
+ * `pstree -A`: '|-' and '`-' before a node, '| ' and '  ' for its ancestors.
+ * @param {object[]} roots from buildSessionTree
+ * @returns {{node: object, depth: number, prefix: string}[]}
+ */
+function flattenTree(roots) {
+  const rows = [];
+  const walk = (node, depth, indent, last) => {
+    const prefix = depth === 0 ? '' : indent + (last ? '`-' : '|-');
+    rows.push({ node, depth, prefix });
+    const childIndent = depth === 0 ? '' : indent + (last ? '  ' : '| ');
+    node.children.forEach((child, i) => walk(child, depth + 1, childIndent, i === node.children.length - 1));
+  };
+  roots.forEach(root => walk(root, 0, '', true));
+  return rows;
+}
+
+module.exports = {
+  parseSessionKey,
+  getParentKey,
+  getSessionGroup,
+  buildSessionTree,
+  flattenTree,
+};
@@ -0,0 +1,302 @@
+/**
+ * Token usage and cost accounting for clawstat.
+ *
+ * Usage comes from the `usage` block of assistant messages in session
+ * transcripts, or from `totalTokens` growth between the snapshots of a
+ * `clawtop --record` file. Prices are USD per million tokens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStateDir, readOpenclawConfig, globToRegExp } = require('./core');
+const { resolveTranscriptPath, parseTranscriptLine } = require('./transcript');
+
+const GROUP_FIELDS = ['model', 'channel', 'kind', 'agent', 'day', 'hour'];
+const TOKEN_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Parse a --since/--until value: 'now', 'today', 'yesterday', a relative
+ * duration back from now ('30m', '24h', '7d', '2w') or a date/time
+ * ('2026-10-01', '2026-10-01T08:00').
+ * @returns {number|null} epoch ms, or null if the value is not understood
+ */
+function parseTimeArg(value, now = Date.now()) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'now') return now;
+  if (text === 'today') return startOfDay(now);
+  if (text === 'yesterday') return startOfDay(now) - DAY_MS;
+
+  const relative = /^(\d+(?:\.\d+)?)\s*([smhdw])$/.exec(text);
+  if (relative) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: DAY_MS, w: 7 * DAY_MS }[relative[2]];
+    return now - parseFloat(relative[1]) * unit;
+  }
+
+  // Bare dates are local midnight, not UTC as Date.parse would have it
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime();
+  }
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Price entry normalised to { input, output, cacheRead, cacheWrite } per million tokens
+function normalizePrice(price) {
+  if (typeof price === 'number') return { input: price, output: price, cacheRead: price, cacheWrite: price };
+  const entry = {};
+  TOKEN_FIELDS.forEach(field => {
+    entry[field] = Number(price?.[field]) || 0;
+  });
+  return entry;
+}
+
+/**
+ * Load the pricing table: `models.providers.<provider>.models[].cost` from
+ * openclaw.json, overridden by a --prices file mapping model names (with
+ * optional provider prefix and * wildcards) to prices.
+ * @param {string} [pricesFile]
+ * @returns {{pattern: RegExp, name: string, price: object}[]} --prices entries
+ *   first, so they win over openclaw.json
+ */
+function loadPrices(pricesFile) {
+  const table = [];
+
+  if (pricesFile) {
+    const raw = JSON.parse(fs.readFileSync(pricesFile, 'utf8'));
+    // Either { "<model>": price } or { "prices": { "<model>": price } }
+    const entries = raw.prices && typeof raw.prices === 'object' ? raw.prices : raw;
+    for (const [name, price] of Object.entries(entries)) {
+      table.push({ pattern: globToRegExp(name), name, price: normalizePrice(price) });
+    }
+  }
+
+  const providers = readOpenclawConfig()?.models?.providers || {};
+  for (const [provider, settings] of Object.entries(providers)) {
+    for (const model of settings?.models || []) {
+      if (!model?.id || !model.cost) continue;
+      const name = `${provider}/${model.id}`;
+      table.push({ pattern: globToRegExp(name), name, price: normalizePrice(model.cost) });
+    }
+  }
+  return table;
+}
+
+// Price for a model ('provider/model' or bare), or null if it has none
+function priceFor(prices, model) {
+  if (!model) return null;
+  const bare = model.includes('/') ? model.slice(model.indexOf('/') + 1) : model;
+  const match = prices.find(p => p.pattern.test(model))
+    || prices.find(p => p.pattern.test(bare));
+  return match ? match.price : null;
+}
+
+function costOf(record, price) {
+  if (!price) return null;
+  return TOKEN_FIELDS.reduce((sum, field) => sum + (record[field] || 0) * price[field], 0) / 1e6;
+}
+
+// Model name with its provider when the transcript or session knows it
+function qualifyModel(model, provider, session) {
+  if (!model) return session?.model || null;
+  if (model.includes('/')) return model;
+  if (provider) return `${provider}/${model}`;
+  if (session?.model && session.model.endsWith(`/${model}`)) return session.model;
+  return model;
+}
+
+// Every transcript under the state directory, plus the ones sessions point at
+function listTranscripts(sessions, agents) {
+  const files = new Map(); // path -> { agentId, session }
+  const bySessionId = new Map(sessions.map(s => [s.sessionId, s]));
+
+  const agentsDir = path.join(getStateDir(), 'agents');
+  let agentIds = [];
+  try {
+    agentIds = fs.readdirSync(agentsDir);
+  } catch (err) {
+    // No local state
+  }
+  for (const agentId of agentIds) {
+    if (agents.length > 0 && !agents.includes(agentId)) continue;
+    const dir = path.join(agentsDir, agentId, 'sessions');
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter(name => name.endsWith('.jsonl'));
+    } catch (err) {
+      continue;
+    }
+    for (const name of names) {
+      const sessionId = name.slice(0, -'.jsonl'.length);
+      files.set(path.join(dir, name), { agentId, session: bySessionId.get(sessionId) || null });
+    }
+  }
+
+  for (const session of sessions) {
+    const file = resolveTranscriptPath(session);
+    if (file && !files.has(file)) files.set(file, { agentId: session.agentId, session });
+  }
+  return files;
+}
+
+/**
+ * Usage records from transcript `usage` entries between `since` and `until`.
+ * Channel and kind come from the matching session, when it is still listed.
+ * @param {{since: number, until: number, sessions?: object[], agents?: string[]}} options
+ * @returns {object[]} `{ time, agent, model, channel, kind, key, input, output,
+ *   cacheRead, cacheWrite, tokens, recordedCost }`
+ */
+function collectTranscriptUsage({ since, until, sessions = [], agents = [] }) {
+  const records = [];
+  for (const [file, { agentId, session }] of listTranscripts(sessions, agents)) {
+    let content;
+    try {
+      // Transcripts last written before the window can't contain anything in it
+      if (fs.statSync(file).mtimeMs < since) continue;
+      content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.includes('"usage"')) continue;
+      const entry = parseTranscriptLine(line);
+      if (!entry || entry.type !== 'message' || !entry.usage || entry.time === null) continue;
+      if (entry.time < since || entry.time >= until) continue;
+
+      const usage = entry.usage;
+      const record = {
+        time: entry.time,
+        agent: agentId || session?.agentId || '-',
+        model: qualifyModel(entry.model, entry.raw.message?.provider, session) || '-',
+        channel: session?.channel || '-',
+        kind: session?.kind || '-',
+        key: session?.key || path.basename(file, '.jsonl'),
+        input: usage.input || usage.input_tokens || 0,
+        output: usage.output || usage.output_tokens || 0,
+        cacheRead: usage.cacheRead || usage.cache_read_input_tokens || 0,
+        cacheWrite: usage.cacheWrite || usage.cache_creation_input_tokens || 0,
+        recordedCost: typeof usage.cost?.total === 'number' ? usage.cost.total : null,
+      };
+      record.tokens = usage.totalTokens || TOKEN_FIELDS.reduce((sum, field) => sum + record[field], 0);
+      records.push(record);
+    }
+  }
+  return records;
+}
+
+/**
+ * Usage records from `totalTokens` growth between consecutive snapshots of a
+ * `clawtop --record` (or `--format ndjson`) file. Drops in totalTokens (resets,
+ * compactions) are not counted. The split into input and output is unknown,
+ * so growth is counted (and priced) as input.
+ * @param {string} file
+ * @param {{since: number, until: number, agents?: string[]}} options
+ */
+function collectRecordingUsage(file, { since, until, agents = [] }) {
+  const records = [];
+  const last = new Map(); // key -> totalTokens in the previous snapshot
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let snapshot;
+    try {
+      snapshot = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    const time = Date.parse(snapshot.time);
+    if (isNaN(time) || !Array.isArray(snapshot.sessions)) continue;
+
+    for (const s of snapshot.sessions) {
+      const tokens = s.totalTokens || 0;
+      const before = last.get(s.key);
+      last.set(s.key, tokens);
+      if (before === undefined || tokens <= before || time < since || time >= until) continue;
+      if (agents.length > 0 && !agents.includes(s.agentId)) continue;
+      records.push({
+        time,
+        agent: s.agentId || '-',
+        model: s.model || '-',
+        channel: s.channel || '-',
+        kind: s.kind || '-',
+        key: s.key,
+        input: tokens - before,
+        output: 0,
+        cacheRead: 0,
+        cacheWrite: 0,
+        tokens: tokens - before,
+        recordedCost: null,
+      });
+    }
+  }
+  return records;
+}
+
+function groupValue(record, field) {
+  if (field === 'day' || field === 'hour') {
+    const date = new Date(record.time);
+    const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return field === 'day' ? day : `${day} ${String(date.getHours()).padStart(2, '0')}:00`;
+  }
+  return record[field];
+}
+
+/**
+ * Sum records into one row per combination of the `by` fields.
+ * Cost uses the price table, falling back to the cost recorded in the
+ * transcript; `cost` is null when neither is known for any record in the row.
+ * @param {object[]} records
+ * @param {string[]} by e.g. ['day', 'model']
+ * @param {object[]} prices from loadPrices
+ * @returns {object[]} rows with the `by` fields, `requests` (usage entries),
+ *   `sessions`, token totals and `cost`; time buckets in order, then the
+ *   biggest users first
+ */
+function aggregateUsage(records, by, prices = []) {
+  const rows = new Map();
+  for (const record of records) {
+    const group = by.map(field => groupValue(record, field));
+    const id = JSON.stringify(group);
+    let row = rows.get(id);
+    if (!row) {
+      row = {};
+      by.forEach((field, i) => { row[field] = group[i]; });
+      Object.assign(row, { requests: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, tokens: 0, cost: null, sessions: new Set() });
+      rows.set(id, row);
+    }
+    row.requests++;
+    TOKEN_FIELDS.forEach(field => { row[field] += record[field]; });
+    row.tokens += record.tokens;
+    row.sessions.add(record.key);
+
+    const cost = costOf(record, priceFor(prices, record.model)) ?? record.recordedCost;
+    if (cost !== null) row.cost = (row.cost || 0) + cost;
+  }
+
+  return [...rows.values()]
+    .map(row => ({ ...row, sessions: row.sessions.size }))
+    .sort((a, b) => {
+      for (const field of by.filter(f => f === 'day' || f === 'hour')) {
+        const cmp = a[field].localeCompare(b[field]);
+        if (cmp !== 0) return cmp;
+      }
+      return b.tokens - a.tokens;
+    });
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  parseTimeArg,
+  loadPrices,
+  priceFor,
+  collectTranscriptUsage,
+  collectRecordingUsage,
+  aggregateUsage,
+};
@@ -0,0 +1,217 @@
+/**
+ * Change feed for the local session stores: calls back when a sessions.json
+ * or a transcript under <stateDir>/agents changes, so the tools can refresh
+ * on change instead of re-reading everything on every tick.
+ *
+ * Uses fs.watch on each agent's sessions directory (which also sees atomic
+ * renames over sessions.json) and falls back to polling file stats where
+ * fs.watch is unavailable or fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Files whose changes are worth a refresh; temp files of atomic writes are not.
+// A missing name (some platforms) counts as a change.
+function isSessionFile(name) {
+  return !name || name === 'sessions.json' || name.endsWith('.jsonl');
+}
+
+// Fingerprint of a directory's session files, compared between polls
+function dirSignature(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter(name => isSessionFile(name)).sort();
+  } catch (err) {
+    return '';
+  }
+  return names.map(name => {
+    try {
+      const stat = fs.statSync(path.join(dir, name));
+      return `${name}:${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      return name;
+    }
+  }).join('\n');
+}
+
+/**
+ * Watch the session stores and transcripts of every agent (or just `agents`).
+ * Changes are batched: `onChange` runs `debounce` ms after the first change of
+ * a burst, with every file that changed in the meantime, so a transcript that
+ * is written continuously still produces a steady stream of refreshes.
+ * @param {function(string[]): void} onChange called with the changed paths
+ * @param {object} options
+ * @param {string} options.stateDir e.g. ~/.openclaw
+ * @param {string[]} [options.agents] only these agents' directories
+ * @param {number} [options.debounce=300] ms to collect changes before calling back
+ * @param {number} [options.pollInterval=1000] ms between polls where fs.watch is unavailable
+ * @param {boolean} [options.poll=false] poll even where fs.watch works
+ * @returns {{close: function(): void}}
+ */
+function createChangeFeed(onChange, options) {
+  const {
+    stateDir,
+    agents = [],
+    debounce = 300,
+    pollInterval = 1000,
+    poll = false,
+  } = options;
+  const agentsDir = path.join(stateDir, 'agents');
+  const watchers = new Map(); // dir -> fs.FSWatcher
+  const polled = new Map(); // dir -> signature at the last poll
+  let changed = new Set();
+  let debounceTimer = null;
+  let pollTimer = null;
+  let closed = false;
+
+  const notify = file => {
+    if (closed) return;
+    changed.add(file);
+    if (debounceTimer) return;
+    debounceTimer = setTimeout(() => {
+      const files = [...changed];
+      changed = new Set();
+      debounceTimer = null;
+      if (!closed) onChange(files);
+    }, debounce);
+  };
+
+  const pollAll = () => {
+    // New agent directories only show up here when agentsDir itself is polled
+    if (!watchers.has(agentsDir)) scan();
+    polled.forEach((signature, dir) => {
+      const next = dirSignature(dir);
+      if (next !== signature) {
+        polled.set(dir, next);
+        notify(dir);
+      }
+    });
+  };
+
+  const startPolling = dir => {
+    polled.set(dir, dirSignature(dir));
+    if (!pollTimer) pollTimer = setInterval(pollAll, pollInterval);
+  };
+
+  // Watch a directory, or poll it if fs.watch can't. `filter` picks the
+  // entries that matter; `handler` runs for each matching event.
+  const watchDir = (dir, filter, handler) => {
+    if (watchers.has(dir) || polled.has(dir)) return;
+    if (!poll) {
+      try {
+        const watcher = fs.watch(dir, (eventType, name) => {
+          const file = name ? String(name) : null;
+          if (filter(file)) handler(file ? path.join(dir, file) : dir);
+        });
+        watcher.on('error', () => {
+          // e.g. the directory was removed; poll it until it comes back
+          watcher.close();
+          watchers.delete(dir);
+          if (!closed && dir !== agentsDir) startPolling(dir);
+        });
+        watchers.set(dir, watcher);
+        return;
+      } catch (err) {
+        // ENOSPC (out of inotify watches), unsupported filesystem, ...
+      }
+    }
+    if (dir !== agentsDir) startPolling(dir);
+    else if (!pollTimer) pollTimer = setInterval(pollAll, pollInterval);
+  };
+
+  // Start watching every agent's sessions directory not watched yet
+  function scan() {
+    let agentIds = [];
+    try {
+      agentIds = fs.readdirSync(agentsDir);
+    } catch (err) {
+      return;
+    }
+    agentIds
+      .filter(agentId => agents.length === 0 || agents.includes(agentId))
+      .map(agentId => path.join(agentsDir, agentId, 'sessions'))
+      .filter(dir => fs.existsSync(dir) && !watchers.has(dir) && !polled.has(dir))
+      .forEach(dir => {
+        watchDir(dir, isSessionFile, notify);
+        notify(dir); // a new store is a change too
+      });
+  }
+
+  if (fs.existsSync(agentsDir)) {
+    watchDir(agentsDir, () => true, () => scan());
+  } else if (!pollTimer) {
+    // No local state yet; look for it now and then
+    pollTimer = setInterval(pollAll, pollInterval);
+  }
+  scan();
+  // The initial scan is not a change
+  clearTimeout(debounceTimer);
+  debounceTimer = null;
+  changed = new Set();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(debounceTimer);
+      clearInterval(pollTimer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+      polled.clear();
+    },
+  };
+}
+
+/**
+ * Run `refresh` now, again every `interval` ms after the previous run ends,
+ * and whenever `trigger()` is called. Runs never overlap: a trigger during a
+ * run queues one more run right after it. A run that throws is passed to
+ * `onError` and the schedule carries on.
+ * @param {function(): Promise|void} refresh
+ * @param {number} interval ms
+ * @param {function(Error): void} [onError] default: report on stderr
+ * @returns {{trigger: function(): void, stop: function(): void}}
+ */
+function scheduleRefreshes(refresh, interval, onError = err => console.error(err)) {
+  let timer = null;
+  let running = false;
+  let queued = false;
+  let stopped = false;
+
+  const run = async () => {
+    if (stopped) return;
+    if (running) {
+      queued = true;
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    try {
+      await refresh();
+    } catch (err) {
+      onError(err);
+    } finally {
+      running = false;
+      if (queued) {
+        queued = false;
+        run();
+      } else if (!stopped) {
+        timer = setTimeout(run, interval);
+      }
+    }
+  };
+  run();
+
+  return {
+    trigger: run,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  createChangeFeed,
+  scheduleRefreshes,
+};
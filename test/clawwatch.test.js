@@ -0,0 +1,114 @@
+/**
+ * clawwatch's webhook sink against a local HTTP server: delivery, events
+ * kept in the state file when --once can't deliver, and retry after a
+ * failure while watching.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createFixture, fixtureSessions, startBin, stopBin, runBin } = require('./helpers');
+
+// A webhook that answers with the next of `statuses` (the last one repeating)
+// and records the events of every request
+async function startWebhook(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const status = statuses[Math.min(requests.length, statuses.length - 1)];
+      requests.push({ method: req.method, headers: req.headers, events: JSON.parse(body).events, status });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+// The fixture with a new session in the ops agent, for a session-created event
+function addSession(fixture) {
+  const { ops } = fixtureSessions();
+  fixture.writeStore('ops', {
+    ...ops,
+    'agent:ops:discord:channel:43': { ...ops['agent:ops:discord:channel:42'], sessionId: 'cafef00d-5555' },
+  });
+}
+
+function setup(t) {
+  const fixture = createFixture();
+  t.after(() => fixture.remove());
+  const state = path.join(fixture.home, 'state.json');
+  return { fixture, state, args: ['--once', '-q', '--source', 'file', '--state', state] };
+}
+
+test('--once posts new events to the webhook', async t => {
+  const { fixture, args } = setup(t);
+  const webhook = await startWebhook(t, [204]);
+  const hook = ['--webhook', webhook.url, '--header', 'Authorization: Bearer test'];
+
+  const baseline = await runBin('clawwatch.js', [...args, ...hook], fixture.env);
+  assert.strictEqual(baseline.code, 0, baseline.stderr);
+  assert.strictEqual(webhook.requests.length, 0, 'the first run only records a baseline');
+
+  addSession(fixture);
+  const run = await runBin('clawwatch.js', [...args, ...hook], fixture.env);
+  assert.strictEqual(run.code, 0, run.stderr);
+  assert.strictEqual(webhook.requests.length, 1);
+  const [request] = webhook.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.headers['content-type'], 'application/json');
+  assert.strictEqual(request.headers.authorization, 'Bearer test');
+  assert.deepStrictEqual(request.events.map(e => [e.event, e.key]), [['session-created', 'agent:ops:discord:channel:43']]);
+});
+
+test('--once keeps undelivered events for the next run', async t => {
+  const { fixture, state, args } = setup(t);
+  const webhook = await startWebhook(t, [500, 204]);
+  const hook = ['--webhook', webhook.url];
+
+  await runBin('clawwatch.js', [...args, ...hook], fixture.env);
+  addSession(fixture);
+  const failed = await runBin('clawwatch.js', [...args, ...hook], fixture.env);
+  assert.strictEqual(failed.code, 1);
+  assert.match(failed.stderr, /webhook: HTTP 500; 1 events kept for the next run/);
+  const saved = JSON.parse(fs.readFileSync(state, 'utf8'));
+  assert.deepStrictEqual(saved.pending.webhook.map(e => e.event), ['session-created']);
+
+  // Nothing changed since, so the next run sends just the kept event
+  const retried = await runBin('clawwatch.js', [...args, ...hook], fixture.env);
+  assert.strictEqual(retried.code, 0, retried.stderr);
+  assert.strictEqual(webhook.requests.length, 2);
+  assert.deepStrictEqual(webhook.requests[1].events, webhook.requests[0].events);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(state, 'utf8')).pending, {});
+});
+
+test('watching retries a failed delivery with backoff', async t => {
+  const { fixture, state, args } = setup(t);
+  const webhook = await startWebhook(t, [503, 204]);
+
+  // Baseline with --once, then watch from the saved state
+  await runBin('clawwatch.js', args, fixture.env);
+  addSession(fixture);
+  const child = startBin('clawwatch.js', ['-q', '--source', 'file', '--state', state, '-d', '60', '--webhook', webhook.url], fixture.env);
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  // The first attempt fails; the retry comes a second later. clawwatch saves
+  // its state on exit, so it has to be gone before the fixture is removed.
+  try {
+    const deadline = Date.now() + 10000;
+    while (webhook.requests.length < 2 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  } finally {
+    await stopBin(child);
+  }
+  assert.deepStrictEqual(webhook.requests.map(r => r.status), [503, 204]);
+  assert.deepStrictEqual(webhook.requests[1].events, webhook.requests[0].events);
+  assert.match(stderr, /webhook: HTTP 503; 1 events queued, retrying in 1s/);
+});
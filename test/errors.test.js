@@ -0,0 +1,63 @@
+/**
+ * Locating JSON syntax errors for StoreParseError (lib/errors.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { StoreParseError, findJsonError, toParseError } = require('../lib/errors');
+
+// The error toParseError makes for `text`, as JSON.parse would fail on it
+function parseError(text) {
+  try {
+    JSON.parse(text);
+  } catch (err) {
+    return toParseError(err, text, '/tmp/sessions.json', 'sessions.json');
+  }
+  throw new Error(`${JSON.stringify(text)} parses`);
+}
+
+// [line, column, reason] of the error in `text`
+function locate(text) {
+  const err = parseError(text);
+  return [err.line, err.column, /\(([^)]*)\)$/.exec(err.message)[1]];
+}
+
+test('valid input has no error', () => {
+  for (const text of ['{}', '[]', ' 0 ', '-1.5e+3', '"a\\u00e9\\n"', 'null', '{"a": [1, {"b": true}], "c": "x"}']) {
+    assert.strictEqual(findJsonError(text), null, text);
+  }
+});
+
+test('truncated input', () => {
+  assert.deepStrictEqual(locate('{"a": [1, 2'), [1, 12, 'unexpected end of input']);
+  assert.deepStrictEqual(locate('{"a": "b'), [1, 9, 'unterminated string']);
+  assert.deepStrictEqual(locate('{\n  "a": 1,\n'), [3, 1, 'unexpected end of input']);
+  assert.deepStrictEqual(locate(''), [1, 1, 'empty']);
+  assert.deepStrictEqual(locate(' \n '), [1, 1, 'empty']);
+});
+
+test('trailing commas', () => {
+  assert.deepStrictEqual(locate('{"a": 1,}'), [1, 9, 'expected a property name in double quotes']);
+  assert.deepStrictEqual(locate('[1, 2,]'), [1, 7, "unexpected ']'"]);
+});
+
+test('bad escapes and control characters in strings', () => {
+  assert.deepStrictEqual(locate('{"a": "b\\q"}'), [1, 9, 'invalid escape in string']);
+  assert.deepStrictEqual(locate('{"a": "\\u12"}'), [1, 8, 'invalid escape in string']);
+  assert.deepStrictEqual(locate('{"a": "b\tc"}'), [1, 9, 'control character in string']);
+});
+
+test('lines and columns count from 1 across newlines', () => {
+  assert.deepStrictEqual(locate('{\n  "a": x}'), [2, 8, "unexpected 'x'"]);
+  assert.deepStrictEqual(locate('{\n  "a" 1\n}'), [2, 7, "expected ':' after property name"]);
+  assert.deepStrictEqual(locate('{"a": 1} {"b": 2}'), [1, 10, "unexpected '{'"]);
+  assert.deepStrictEqual(locate('{"a": 1\n "b": 2}'), [2, 2, "expected ',' or '}'"]);
+});
+
+test('the error names the file and keeps the JSON.parse error', () => {
+  const err = parseError('{"a": x}');
+  assert.ok(err instanceof StoreParseError);
+  assert.strictEqual(err.path, '/tmp/sessions.json');
+  assert.strictEqual(err.message, "sessions.json is not valid JSON at line 1, column 7 (unexpected 'x')");
+  assert.ok(err.cause instanceof SyntaxError);
+});
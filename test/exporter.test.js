@@ -0,0 +1,53 @@
+/**
+ * clawtop --exporter against the fixture store: /metrics, /sessions.json and
+ * unknown paths.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFixture, startBin, stopBin, waitForStderr } = require('./helpers');
+
+test('clawtop --exporter', async t => {
+  const fixture = createFixture();
+  const child = startBin('clawtop.js', ['--exporter', '127.0.0.1:0', '--source', 'file', '-a', '-d', '60'], fixture.env);
+  t.after(async () => {
+    await stopBin(child);
+    fixture.remove();
+  });
+  const [, port] = await waitForStderr(child, /exporter listening on [^\s]+:(\d+)/);
+  const base = `http://127.0.0.1:${port}`;
+
+  await t.test('/metrics has a series per session', async () => {
+    const res = await fetch(`${base}/metrics`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const body = await res.text();
+    assert.match(body, /^# TYPE openclaw_session_context_tokens gauge$/m);
+    assert.match(body, /^openclaw_session_context_tokens\{key="agent:main:main",channel="telegram",kind="direct",model="moonshot\/kimi-k2\.5"\} 15000$/m);
+    assert.match(body, /^openclaw_session_context_tokens\{key="agent:ops:discord:channel:42",.*\} 120000$/m);
+    assert.match(body, /^clawtop_last_refresh_success 1$/m);
+  });
+
+  await t.test('/sessions.json has the latest snapshot', async () => {
+    const res = await fetch(`${base}/sessions.json`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'application/json');
+    const body = await res.json();
+    assert.strictEqual(body.source, 'file');
+    assert.ok(!isNaN(Date.parse(body.time)));
+    assert.deepStrictEqual(body.sessions.map(s => s.key).sort(), [
+      'agent:main:cron:daily',
+      'agent:main:main',
+      'agent:ops:discord:channel:42',
+    ]);
+  });
+
+  await t.test('unknown paths are 404 and other methods 405', async () => {
+    const missing = await fetch(`${base}/nope`);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(await missing.text(), 'Not found\n');
+    const post = await fetch(`${base}/metrics`, { method: 'POST' });
+    assert.strictEqual(post.status, 405);
+    assert.strictEqual(post.headers.get('allow'), 'GET, HEAD');
+  });
+});
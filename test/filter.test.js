@@ -0,0 +1,38 @@
+/**
+ * Filter expressions (lib/filter.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFilter } = require('../lib/filter');
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const SESSIONS = [
+  { key: 'agent:main:cron:daily', kind: 'cron', channel: 'cron', abortedLastRun: true, totalTokens: 900, updatedAt: NOW - 3600000 },
+  { key: 'agent:main:main', kind: 'direct', channel: 'telegram', totalTokens: 150000, updatedAt: NOW - 60000 },
+];
+
+function keys(text) {
+  const filter = parseFilter(text);
+  return SESSIONS.filter(s => filter.test(s, NOW)).map(s => s.key);
+}
+
+test('terms all have to match', () => {
+  assert.deepStrictEqual(keys('kind=cron aborted'), ['agent:main:cron:daily']);
+  assert.deepStrictEqual(keys('channel=telegram tokens>100K idle<5m'), ['agent:main:main']);
+  assert.deepStrictEqual(keys(''), SESSIONS.map(s => s.key));
+});
+
+test('! negates any term', () => {
+  assert.deepStrictEqual(keys('!kind=cron'), keys('kind!=cron'));
+  assert.deepStrictEqual(keys('!kind=cron'), ['agent:main:main']);
+  assert.deepStrictEqual(keys('!aborted'), ['agent:main:main']);
+  assert.deepStrictEqual(keys('!tokens>100K'), ['agent:main:cron:daily']);
+  assert.deepStrictEqual(keys('!telegram'), ['agent:main:cron:daily']);
+  assert.deepStrictEqual(parseFilter('!status=stale').fields, ['status']);
+});
+
+test('bad terms throw, naming the term as written', () => {
+  assert.throws(() => parseFilter('!bogus=1'), /Unknown field 'bogus' in filter term '!bogus=1'/);
+  assert.throws(() => parseFilter('!ctx>lots'), /Invalid number in filter term '!ctx>lots'/);
+});
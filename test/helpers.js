@@ -0,0 +1,147 @@
+/**
+ * Shared setup for the tests: a throwaway HOME with an OpenClaw session
+ * store in it, and a way to run the bins against it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Sessions for ~/.openclaw/agents/<agent>/sessions/sessions.json, updated
+// relative to `now` so their status doesn't depend on when the tests run
+function fixtureSessions(now = Date.now()) {
+  return {
+    main: {
+      'agent:main:main': {
+        sessionId: 'a1b2c3d4-1111',
+        updatedAt: now - 60 * 1000,
+        displayName: 'Test User (@test)',
+        channel: 'telegram',
+        model: 'moonshot/kimi-k2.5',
+        contextTokens: 250000,
+        totalTokens: 15000,
+        kind: 'direct',
+      },
+      'agent:main:cron:daily': {
+        sessionId: 'e5f6a7b8-2222',
+        updatedAt: now - 10 * 60 * 1000,
+        displayName: 'Cron: Daily Report',
+        channel: 'cron',
+        model: 'moonshot/kimi-k2.5',
+        contextTokens: 250000,
+        totalTokens: 240000,
+        kind: 'other',
+        abortedLastRun: true,
+      },
+    },
+    ops: {
+      'agent:ops:discord:channel:42': {
+        sessionId: 'deadbeef-4444',
+        updatedAt: now - 2000,
+        displayName: 'ops-bot #alerts',
+        channel: 'discord',
+        model: 'anthropic/claude-opus-4',
+        contextTokens: 200000,
+        totalTokens: 120000,
+        kind: 'group',
+      },
+    },
+  };
+}
+
+function writeStore(home, agent, sessions) {
+  const dir = path.join(home, '.openclaw', 'agents', agent, 'sessions');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'sessions.json'), JSON.stringify(sessions, null, 2));
+}
+
+/**
+ * Create a temporary HOME holding the fixture store. Remove it with
+ * `fixture.remove()`.
+ * @returns {{home: string, env: object, writeStore: function(string, object): void, remove: function(): void}}
+ */
+function createFixture() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'clawps-test-'));
+  Object.entries(fixtureSessions()).forEach(([agent, sessions]) => writeStore(home, agent, sessions));
+  const env = { ...process.env, HOME: home, USERPROFILE: home, XDG_CONFIG_HOME: path.join(home, '.config'), NO_COLOR: '1' };
+  delete env.OPENCLAW_GATEWAY_URL;
+  delete env.OPENCLAW_GATEWAY_TOKEN;
+  delete env.FORCE_COLOR;
+  return {
+    home,
+    env,
+    writeStore: (agent, sessions) => writeStore(home, agent, sessions),
+    remove: () => fs.rmSync(home, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Start one of the bins with the fixture's environment.
+ * @param {string} bin e.g. 'clawwatch.js'
+ * @param {string[]} args
+ * @param {object} env
+ * @returns {import('child_process').ChildProcess}
+ */
+function startBin(bin, args, env) {
+  return spawn(process.execPath, ['--no-warnings', path.join(ROOT, bin), ...args], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Stop a child started with startBin() and wait for it to exit.
+ * @returns {Promise<void>}
+ */
+function stopBin(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+/**
+ * Run one of the bins to completion.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runBin(bin, args, env) {
+  return new Promise((resolve, reject) => {
+    const child = startBin(bin, args, env);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Wait for a line of a child's stderr to match `pattern`.
+ * @returns {Promise<RegExpExecArray>}
+ */
+function waitForStderr(child, pattern) {
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    const onData = chunk => {
+      stderr += chunk;
+      const match = pattern.exec(stderr);
+      if (match) {
+        child.stderr.off('data', onData);
+        resolve(match);
+      }
+    };
+    child.stderr.on('data', onData);
+    child.once('exit', code => reject(new Error(`exited with ${code} before printing ${pattern}:\n${stderr}`)));
+  });
+}
+
+module.exports = {
+  fixtureSessions,
+  createFixture,
+  startBin,
+  stopBin,
+  runBin,
+  waitForStderr,
+};
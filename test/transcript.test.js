@@ -0,0 +1,39 @@
+/**
+ * Incremental transcript reading (lib/transcript.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readNewLines } = require('../lib/transcript');
+
+test('a character split between two reads comes out whole', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawps-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'session.jsonl');
+  const line = Buffer.from(JSON.stringify({ text: 'café ☕' }) + '\n');
+  const split = line.indexOf(Buffer.from('☕')) + 1; // inside the 3-byte cup
+
+  const state = {};
+  fs.writeFileSync(file, line.subarray(0, split));
+  assert.deepStrictEqual(readNewLines(file, state).lines, []);
+  fs.appendFileSync(file, line.subarray(split));
+  assert.deepStrictEqual(readNewLines(file, state).lines, [line.toString().trim()]);
+  assert.strictEqual(state.partial.length, 0);
+});
+
+test('lines are returned once, and a truncated file is read again', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawps-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'session.jsonl');
+
+  const state = {};
+  fs.writeFileSync(file, 'one\ntwo\nthr');
+  assert.deepStrictEqual(readNewLines(file, state), { lines: ['one', 'two'], reset: false });
+  fs.appendFileSync(file, 'ee\n');
+  assert.deepStrictEqual(readNewLines(file, state), { lines: ['three'], reset: false });
+  fs.writeFileSync(file, 'new\n');
+  assert.deepStrictEqual(readNewLines(file, state), { lines: ['new'], reset: true });
+});
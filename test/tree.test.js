@@ -0,0 +1,53 @@
+/**
+ * Session trees for --forest and clawtop's tree view (lib/tree.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSessionTree, flattenTree } = require('../lib/tree');
+
+// Session keys in display order, indented by depth below the agent
+function outline(sessions) {
+  return flattenTree(buildSessionTree(sessions))
+    .map(({ node, depth }) => `${' '.repeat(depth)}${node.label}`);
+}
+
+test('spawned sessions go under the session that started them', () => {
+  assert.deepStrictEqual(outline([
+    { key: 'agent:main:main', channel: 'telegram' },
+    { key: 'agent:main:subagent:a', spawnedBy: 'agent:main:main' },
+    { key: 'agent:main:cron:daily', channel: 'cron' },
+    { key: 'agent:main:cron:daily:run:1', channel: 'cron' },
+  ]), [
+    'main',
+    ' telegram',
+    '  agent:main:main',
+    '   agent:main:subagent:a',
+    ' cron',
+    '  agent:main:cron:daily',
+    '   agent:main:cron:daily:run:1',
+  ]);
+});
+
+test('a spawnedBy loop is broken instead of dropping its sessions', () => {
+  const rows = outline([
+    { key: 'agent:main:subagent:a', channel: 'webchat', spawnedBy: 'agent:main:subagent:b' },
+    { key: 'agent:main:subagent:b', channel: 'webchat', spawnedBy: 'agent:main:subagent:c' },
+    { key: 'agent:main:subagent:c', channel: 'webchat', spawnedBy: 'agent:main:subagent:a' },
+  ]);
+  assert.deepStrictEqual(rows, [
+    'main',
+    ' webchat',
+    '  agent:main:subagent:c',
+    '   agent:main:subagent:b',
+    '    agent:main:subagent:a',
+  ]);
+});
+
+test('a session spawned by itself is top-level', () => {
+  assert.deepStrictEqual(outline([{ key: 'agent:ops:x', channel: 'discord', spawnedBy: 'agent:ops:x' }]), [
+    'ops',
+    ' discord',
+    '  agent:ops:x',
+  ]);
+});
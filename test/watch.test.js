@@ -0,0 +1,37 @@
+/**
+ * Refresh scheduling (lib/watch.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scheduleRefreshes } = require('../lib/watch');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a refresh that throws goes to onError and the schedule carries on', async t => {
+  const errors = [];
+  let runs = 0;
+  const scheduler = scheduleRefreshes(async () => {
+    runs++;
+    if (runs === 1) throw new Error('gateway went away');
+  }, 20, err => errors.push(err.message));
+  t.after(() => scheduler.stop());
+
+  await sleep(100);
+  assert.deepStrictEqual(errors, ['gateway went away']);
+  assert.ok(runs >= 2, `ran ${runs} times`);
+});
+
+test('a trigger during a run queues one more run', async t => {
+  let runs = 0;
+  const scheduler = scheduleRefreshes(async () => {
+    runs++;
+    await sleep(30);
+  }, 10000);
+  t.after(() => scheduler.stop());
+
+  scheduler.trigger();
+  scheduler.trigger();
+  await sleep(100);
+  assert.strictEqual(runs, 2);
+});